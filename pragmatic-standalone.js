@@ -12,7 +12,7 @@
  * - Routing
  * - Form validation
  * - PWA support
- * - localStorage persistence
+ * - Persistence (localStorage, sessionStorage, IndexedDB or a custom adapter)
  */
 
 (function() {
@@ -28,215 +28,155 @@
   window.Pragmatic = {};
 
   // Helper functions that need to be defined first
-  function reactive(obj, callback) {
-    return new Proxy(obj, {
-      set(target, key, value) {
-        if (target[key] === value) return true;
-        target[key] = value;
-        callback(key, value);
-        return true;
-      }
-    });
-  }
-
-  function updateDOM(key, value) {
-    const elements = document.querySelectorAll(`[data-bind="${key}"]`);
-    elements.forEach(element => {
-      if (
-        element.tagName === 'INPUT' ||
-        element.tagName === 'TEXTAREA' ||
-        element.tagName === 'SELECT'
-      ) {
-        if (element.type === 'checkbox') {
-          element.checked = Boolean(value);
-        } else if (element.type === 'radio') {
-          element.checked = (element.value === value);
-        } else {
-          element.value = value || '';
-        }
-      } else {
-        element.textContent = value;
-      }
-    });
-
-    requestAnimationFrame(updateVisibility);
-    requestAnimationFrame(updateClasses);
-  }
-
-  function updateVisibility() {
-    document.querySelectorAll("[show-if]").forEach((element) => {
-      const condition = element.getAttribute("show-if");
 
-      let shouldShow = false;
+  // Proxies of nested objects by raw object, callback and path, so reading the same
+  // object twice returns the same proxy (even when it's shared between stores),
+  // and the raw object behind each proxy
+  const reactiveProxies = new WeakMap();
+  const reactiveTargets = new WeakMap();
+  // Write counts of raw objects, bumped for every write inside them however deep, and
+  // the object each was last read from, to walk up from a write
+  const reactiveVersions = new WeakMap();
+  const reactiveParents = new WeakMap();
 
-      if (typeof element.showIf === "function") {
-        shouldShow = element.showIf();
-      } else if (condition) {
-        shouldShow = evaluateCondition(condition.trim());
-      }
-      element.style.display = shouldShow ? "" : "none";
-    });
+  // Keys read while collectStateKeys() runs, by store
+  let activeReads = null;
 
-    requestAnimationFrame(trackOnShowElements);
+  /**
+   * Records that a state key was read, for the collectStateKeys() call in progress.
+   * @param {Object} source - The store (or anything with `subscribe(key, callback)`) read from.
+   * @param {string} key - The key read.
+   */
+  function trackRead(source, key) {
+    if (!activeReads) return;
+    if (!activeReads.has(source)) {
+      activeReads.set(source, new Set());
+    }
+    activeReads.get(source).add(key);
   }
 
-  function updateClasses() {
-    document.querySelectorAll("[class-if]").forEach((element) => {
-      const classRules = element.getAttribute("class-if").split(";").map(rule => rule.trim());
-
-      classRules.forEach(rule => {
-        let match;
-        if (rule.includes("?")) {
-          const [condition, classes] = rule.split("?").map(s => s.trim());
-          const [trueClass, falseClass] = classes.split(":").map(s => s.trim());
-          match = evaluateCondition(condition);
-          element.classList.toggle(trueClass, match);
-          if (falseClass) {
-            element.classList.toggle(falseClass, !match);
-          }
-        } else if (rule.includes(":")) {
-          const [stateKey, className] = rule.split(":").map(s => s.trim());
-          match = State.get(stateKey);
-          element.classList.toggle(className, !!match);
-        }
-      });
-    });
+  /**
+   * Returns the raw object behind a reactive proxy, or the value itself. Proxies stored
+   * inside state (e.g. `State.set({ list: [...State.get("list"), item] })`) are proxied
+   * again when read, so this unwraps every level.
+   * @param {*} value - The value.
+   * @returns {*} - The raw value.
+   */
+  function toRaw(value) {
+    while (reactiveTargets.has(value)) {
+      value = reactiveTargets.get(value);
+    }
+    return value;
   }
 
-  function bindInputs(data) {
-    document.addEventListener("change", (event) => {
-      const target = event.target;
-      const key = target.getAttribute("data-bind");
-
-      if (key) {
-        if (target.type === "checkbox") {
-          data[key] = target.checked;
-          updateDOM(key, target.checked);
-        } else {
-          data[key] = target.value;
-          updateDOM(key, target.value);
-        }
-        updateVisibility();
-        updateClasses();
-      }
-    });
+  /**
+   * Returns how many writes were made inside a reactive object (or its proxy), at any depth.
+   * Cheaper than comparing serializations to notice in-place changes.
+   * @param {*} value - The object.
+   * @returns {number} - The write count, 0 for values that aren't reactive objects.
+   */
+  function getReactiveVersion(value) {
+    if (value === null || typeof value !== "object") return 0;
+    return reactiveVersions.get(toRaw(value)) || 0;
   }
 
-  function trackOnShowElements() {
-    const elements = document.querySelectorAll("[onShow]");
-
-    elements.forEach((element) => {
-      if (!element.__onShowObserver) {
-        const observer = new IntersectionObserver((entries) => {
-          entries.forEach((entry) => {
-            if (entry.isIntersecting) {
-              const onShowFn = element.getAttribute("onShow");
-              if (onShowFn) {
-                try {
-                  element.onShow();
-                } catch (e) {
-                  console.error("Error executing onShow function:", e);
-                }
-              }
-            }
-          });
-        });
-
-        observer.observe(element);
-        element.__onShowObserver = observer;
-      }
-    });
-  }
+  // Array methods that write several indexes (and the length) in one call
+  const arrayMutators = new Set(["push", "pop", "shift", "unshift", "splice", "sort", "reverse", "fill", "copyWithin"]);
 
-  function evaluateCondition(condition) {
-    return condition.split(/\s*\|\|\s*/).some(orPart =>
-      orPart.split(/\s*&&\s*/).every(andPart =>
-        evaluateSingleCondition(andPart.trim())
-      )
-    );
+  /**
+   * Whether a value is a plain object or array, which `reactive()` tracks deeply.
+   * Class instances (Events, Dates, DOM nodes...) are stored as-is.
+   * @param {*} value - The value.
+   * @returns {boolean}
+   */
+  function isReactiveContainer(value) {
+    if (value === null || typeof value !== "object") return false;
+    const proto = Object.getPrototypeOf(value);
+    // Any realm's Object.prototype (e.g. objects from an iframe) has a null prototype
+    return Array.isArray(value) || proto === null || Object.getPrototypeOf(proto) === null;
   }
 
-  function evaluateSingleCondition(condition) {
-    let match = false;
-    let stateKey, operator, expectedValue;
-
-    if (condition.startsWith("!")) {
-      return !State.get(condition.substring(1).trim());
-    }
-
-    if (condition.startsWith("route~=")) {
-      return State.get("route").startsWith(condition.replace("route~=", "").trim());
-    }
-    if (condition.startsWith("route==")) {
-      const expectedRoute = condition.replace("route==", "").trim();
-      const currentRoute = State.get("route");
-      return currentRoute === expectedRoute || currentRoute.startsWith(expectedRoute + "#");
-    }
-    if (condition.startsWith("route!=")) {
-      const expectedRoute = condition.replace("route!=", "").trim();
-      const currentRoute = State.get("route");
-      return currentRoute !== expectedRoute && !currentRoute.startsWith(expectedRoute + "#");
-    }
-    if (condition.startsWith("route#=")) {
-      const expectedRoute = condition.replace("route#=", "").trim();
-      const currentRoute = State.get("route");
-      return currentRoute.includes("#") && currentRoute.startsWith(expectedRoute + "#");
-    }
-
-    if (!/[=<>!~]|matches/.test(condition)) {
-      return !!State.get(condition);
-    }
-
-    [stateKey, operator, expectedValue] = parseCondition(condition);
-    const stateValue = State.get(stateKey.trim());
-
-    if (operator === "matches") {
-      try {
-        const regexPattern = expectedValue.trim().replace(/^\/|\/$/g, "");
-        const regex = new RegExp(regexPattern);
-        match = regex.test(stateValue);
-      } catch (e) {
-        console.error("Invalid regex in class-if condition:", expectedValue, e);
+  /**
+   * Creates a reactive object that triggers updates when properties change.
+   * Nested plain objects and arrays are reactive too: the callback receives the
+   * dot-separated path of the property that changed, e.g. "user.address.city".
+   * @param {Object} obj - The initial state object.
+   * @param {Function} callback - Function to call on state updates, with `(path, value)`.
+   * @param {string} [path] - Path prefix of `obj` within the root object.
+   * @param {Function} [intercept] - Called instead of writing, with `(path, previous, next, apply)`;
+   *        it decides whether and what to write by calling `apply(next)`. Deleting is writing undefined.
+   * @param {Function} [batch] - Runs a function with its writes coalesced, e.g. `State.batch`.
+   *        Array mutators like `push` or `splice` run in it, so callbacks never see a half-done array.
+   * @returns {Proxy} - A proxy object with reactive behavior.
+   */
+  function reactive(obj, callback, path = "", intercept = null, batch = null) {
+    const write = (target, key, next, remove) => {
+      if (remove) {
+        delete target[key];
+      } else {
+        next = reactiveTargets.get(next) || next;
+        if (target[key] === next) return;
+        target[key] = next;
       }
-    } else {
-      switch (operator) {
-        case "==":
-          match = stateValue == expectedValue.trim();
-          break;
-        case "!=":
-          match = stateValue != expectedValue.trim();
-          break;
-        case "~=":
-          match = typeof stateValue === "string" && stateValue.includes(expectedValue.trim());
-          break;
-        case ">":
-          match = parseFloat(stateValue) > parseFloat(expectedValue);
-          break;
-        case "<":
-          match = parseFloat(stateValue) < parseFloat(expectedValue);
-          break;
-        case ">=":
-          match = parseFloat(stateValue) >= parseFloat(expectedValue);
-          break;
-        case "<=":
-          match = parseFloat(stateValue) <= parseFloat(expectedValue);
-          break;
+      // Guarded against objects that contain themselves
+      const seen = new Set();
+      for (let node = target; node && !seen.has(node); node = reactiveParents.get(node)) {
+        seen.add(node);
+        reactiveVersions.set(node, (reactiveVersions.get(node) || 0) + 1);
       }
-    }
-    return match;
-  }
+      callback(path + String(key), next);
+    };
+    const change = (target, key, next, remove = false) => {
+      if (!remove && target[key] === (reactiveTargets.get(next) || next)) return true;
+      if (intercept) {
+        intercept(path + String(key), target[key], next, (value) => write(target, key, value, remove && value === undefined));
+      } else {
+        write(target, key, next, remove);
+      }
+      return true;
+    };
+
+    const proxy = new Proxy(obj, {
+      get(target, key, receiver) {
+        const value = Reflect.get(target, key, receiver);
+        if (batch && Array.isArray(target) && arrayMutators.has(key) && typeof value === "function") {
+          return (...args) => batch(() => value.apply(receiver, args));
+        }
+        if (typeof key === "symbol" || !isReactiveContainer(value)) return value;
 
-  function parseCondition(condition) {
-    const match = condition.match(/([a-zA-Z0-9_]+)\s*(==|!=|~=|>=|<=|>|<|matches)\s*(\/.*\/|.+)/);
-    return match ? [match[1], match[2], match[3]] : [condition, '', ''];
+        const childPath = path + key;
+        reactiveParents.set(value, target);
+        if (!reactiveProxies.has(value)) {
+          reactiveProxies.set(value, new Map());
+        }
+        const byCallback = reactiveProxies.get(value);
+        if (!byCallback.has(callback)) {
+          byCallback.set(callback, new Map());
+        }
+        const proxies = byCallback.get(callback);
+        if (!proxies.has(childPath)) {
+          proxies.set(childPath, reactive(value, callback, childPath + ".", intercept, batch));
+        }
+        return proxies.get(childPath);
+      },
+      set(target, key, value) {
+        return change(target, key, value);
+      },
+      deleteProperty(target, key) {
+        return key in target ? change(target, key, undefined, true) : true;
+      }
+    });
+    reactiveTargets.set(proxy, obj);
+    return proxy;
   }
+  window.reactive = reactive;
 
   // Copy the source code here, but remove export statements and fix function references
   /**
  * Pragmatic.js - A lightweight state management and UI rendering library.
  *
  * Provides reactive state management, JSX-like rendering, routing, and form validation.
- * State is stored in localStorage for persistence across sessions.
+ * State is persisted across sessions, in localStorage by default.
  */
 
 /**
@@ -244,89 +184,848 @@
  * Manages reactive data, subscriptions, and automatic updates to the DOM.
  */
 class StateSingleton {
-	constructor() {
-		if (!StateSingleton.instance) {
-			let storedData = JSON.parse(localStorage.getItem("state")) || {};
-			
-			// Add PWA-specific initial state
-			storedData.pwaInstallPrompt = null;
-			storedData.showInstallButton = false;
+	/**
+	 * Without a `name` this returns the global `State`. Named instances are isolated
+	 * stores, see `Pragmatic.createStore`.
+	 * @param {Object} [options]
+	 * @param {string} [options.name] - The store name.
+	 * @param {Object} [options.state] - Initial state, overridden by persisted values.
+	 * @param {Object} [options.persist] - Persistence options, see `configurePersistence`.
+	 */
+	constructor(options = {}) {
+		if (options.name || !StateSingleton.instance) {
+			this.name = options.name || null;
+			// Loading, error and updatedAt keys of this state's resources, which aren't persisted
+			this.resourceStatusKeys = new Set();
+			this.configurePersistence(this.name
+				? { adapter: options.persist ? undefined : "memory", namespace: this.name, ...options.persist }
+				: options.persist);
+			let storedData = { ...options.state, ...this.loadPersistedState() };
+
+			if (!this.name) {
+				// Add PWA-specific initial state
+				storedData.pwaInstallPrompt = null;
+				storedData.showInstallButton = false;
+
+				// Initialize route state - include pathname, query string and hash
+				storedData.route = readLocation();
+			}
+
+			storedData.canUndo = false;
+			storedData.canRedo = false;
 			
-			this.data = reactive(storedData, this.updateLocalStorage.bind(this));
-			bindInputs(this.data);
+			this.computeds = {};
+			this.batchDepth = 0;
+			this.pendingChanges = new Map();
+			this.pendingNotifications = new Set();
+			this.pendingPrevious = new Map();
+			// Paths whose write middleware vetoed, during the current `set`
+			this.vetoedWrites = new Set();
+			this.middleware = [];
+			this.writeSource = null;
+			this.data = reactive(storedData, this.updateLocalStorage.bind(this), "", this.applyMiddleware.bind(this), this.batch.bind(this));
 			this.subscribers = {};
-			StateSingleton.instance = this;
+			this.history = new StateHistory(this);
+			this.startSync();
 
-			// Initialize route state - include both pathname and hash
-			this.data.route = window.location.pathname + window.location.hash;
+			if (!this.name) {
+				StateSingleton.instance = this;
 
-					// Initialize PWA functionality
-		this.initPWA();
-		
-		// Track user interactions for PWA engagement
-		this.trackUserEngagement();
+				// One listener writes inputs to the store they're in
+				bindInputs();
 
-			requestAnimationFrame(() => {
-				Object.keys(this.data).forEach((key) => updateDOM(key, this.data[key]));
-				updateVisibility();
-				updateClasses();
-			});
+				// Initialize PWA functionality
+				this.initPWA();
+
+				// Track user interactions for PWA engagement
+				this.trackUserEngagement();
+			}
+
+			requestAnimationFrame(() => this.refreshDOM());
 		}
-		return StateSingleton.instance;
+		return this.name ? this : StateSingleton.instance;
+	}
+
+	/**
+	 * Writes this state to the elements it owns: `data-bind` values, `show-if` and `class-if`.
+	 */
+	refreshDOM() {
+		Object.keys(this.data).forEach((key) => updateBoundElements(key, this.data[key], this));
+		updateVisibility();
+		updateClasses();
 	}
 
   /**
-     * Updates localStorage when state changes.
+     * Records a state change made through the reactive proxy. Outside a batch the
+     * change is applied right away; inside one it's applied when the batch ends.
      * @param {string} key - The state key that changed.
      * @param {*} value - The new value of the state key.
      */
 	updateLocalStorage(key, value) {
-		localStorage.setItem("state", JSON.stringify(this.data));
-		updateDOM(key, value);
-		updateVisibility();
-		updateClasses();
+		if (!this.hydrated) {
+			this.writtenBeforeHydration.add(key.split(".")[0]);
+		}
+		this.pendingChanges.set(key, value);
+		if (this.batchDepth === 0) {
+			this.flushChanges();
+		}
+	}
+
+	/**
+	 * Groups state changes so their side effects run once, when the outermost batch ends:
+	 * 1. computed keys depending on the changes are recomputed, and the changes are
+	 *    recorded as one `State.history` entry,
+	 * 2. state is persisted once (and sent to other tabs when syncing),
+	 * 3. `data-bind` elements of the changed keys are updated,
+	 * 4. each affected subscriber is called once (per matching key for patterns), with the final value,
+	 * 5. `show-if` and `class-if` are re-evaluated once.
+	 * Changes made by subscribers are applied in a follow-up pass, in the same order.
+	 * `State.set` always runs as a batch. `fn` must be synchronous.
+	 * @param {Function} fn - Makes the changes.
+	 * @returns {*} - The return value of `fn`.
+	 *
+	 * @example
+	 * State.batch(() => {
+	 *     State.set({ users: response.users });
+	 *     State.get("cart").items.push(item);
+	 * });
+	 */
+	batch(fn) {
+		this.batchDepth++;
+		try {
+			return fn();
+		} finally {
+			this.batchDepth--;
+			if (this.batchDepth === 0) {
+				this.flushChanges();
+			}
+		}
+	}
+
+	/**
+	 * Applies the side effects of the changes recorded since the last flush,
+	 * in the order documented on `batch`.
+	 */
+	flushChanges() {
+		if (!this.pendingChanges.size && !this.pendingNotifications.size) return;
+		const changes = this.pendingChanges;
+		const notifications = this.pendingNotifications;
+		const previous = this.pendingPrevious;
+		this.pendingChanges = new Map();
+		this.pendingNotifications = new Set();
+		this.pendingPrevious = new Map();
+
+		// Changes made while flushing are collected into a follow-up flush
+		this.batchDepth++;
+		try {
+			const changedComputeds = this.invalidateComputed([...changes.keys()], previous);
+			this.history.record([...changes.keys()]);
+
+			if (changes.size) {
+				this.touchExpiries([...changes.keys()]);
+				this.persistState();
+				this.broadcastChanges([...changes.keys()]);
+			}
+			// Changes from another tab aren't sent back, but what subscribers write in reaction is
+			this.applyingSync = false;
+
+			changes.forEach((value, key) => updateBoundElements(key, value, this));
+			changedComputeds.forEach(name => updateBoundElements(name, this.get(name), this));
+
+			this.notifySubscribers([...new Set([...changes.keys(), ...notifications, ...changedComputeds])], previous);
+
+			updateVisibility();
+			updateClasses();
+		} finally {
+			this.batchDepth--;
+		}
+
+		this.flushChanges();
 	}
 
 	set(properties) {
-		Object.entries(properties).forEach(([key, value]) => {
-			this.data[key] = value;
+		this.withSource(this.writeSource || "set", () => this.batch(() => {
+			Object.entries(properties).forEach(([key, value]) => {
+				if (this.computeds[key.split(".")[0]]) {
+					console.warn(`Cannot set computed state key "${key}"`);
+					return;
+				}
+
+				this.vetoedWrites.clear();
+				setPath(this.data, key, value);
+				// A write middleware vetoed notifies nobody
+				if (this.vetoedWrites.size) return;
+				this.pendingNotifications.add(key);
+			});
+		}));
+	}
+
+	/**
+	 * Registers middleware that sees every state change, whichever way it's made.
+	 * Each change is `{ key, previous, next, source }`, where `key` is the changed path and
+	 * `source` is how it was made: "set", "input" (a `data-bind` form field), "navigate",
+	 * "reset", "restore", "history", "sync", "hydrate", or "proxy" for direct writes to `State.data`.
+	 * `before(change)` runs before the change is applied: return false to veto it, or assign
+	 * `change.next` to write a different value. `after(change)` runs once it's applied.
+	 * A function is used as `before`.
+	 * @param {Function|{before: Function, after: Function}} middleware - The middleware.
+	 * @returns {Function} - Call to remove the middleware.
+	 *
+	 * @example
+	 * State.use({
+	 *     before: (change) => change.key !== "apiKey" || change.source === "set",
+	 *     after: ({ key, previous, next, source }) => audit.push({ key, previous, next, source })
+	 * });
+	 * State.use((change) => {
+	 *     if (change.key === "quantity") change.next = Number(change.next) || 0;
+	 * });
+	 */
+	use(middleware) {
+		const entry = typeof middleware === "function" ? { before: middleware } : middleware;
+		this.middleware = [...this.middleware, entry];
+		return () => {
+			this.middleware = this.middleware.filter(m => m !== entry);
+		};
+	}
+
+	/**
+	 * Runs a change through the middleware and applies it unless vetoed, remembering
+	 * the value it replaces for subscribers.
+	 * @param {string} key - The state path being changed.
+	 * @param {*} previous - The current value.
+	 * @param {*} next - The value being written, undefined when deleting.
+	 * @param {Function} apply - Writes the value it's given.
+	 */
+	applyMiddleware(key, previous, next, apply) {
+		const commit = (value) => {
+			if (!this.pendingPrevious.has(key)) {
+				// Only subscribers see previous values, so without one there's nothing to copy
+				this.pendingPrevious.set(key, this.hasSubscribers(key) ? cloneValue(previous) : previous);
+			}
+			apply(value);
+		};
+		const middleware = this.middleware;
+		if (!middleware.length) {
+			commit(next);
+			return;
+		}
+
+		const change = { key, previous, next, source: this.writeSource || "proxy" };
+		if (middleware.some(({ before }) => before && before(change) === false)) {
+			this.vetoedWrites.add(key);
+			return;
+		}
+		commit(change.next);
+		middleware.forEach(({ after }) => after && after(change));
+	}
+
+	/**
+	 * Runs `fn` with its state changes reported to middleware as coming from `source`.
+	 * @param {string} source - The source, e.g. "navigate".
+	 * @param {Function} fn - Makes the changes.
+	 * @returns {*} - The return value of `fn`.
+	 */
+	withSource(source, fn) {
+		const outer = this.writeSource;
+		this.writeSource = source;
+		try {
+			return fn();
+		} finally {
+			this.writeSource = outer;
+		}
+	}
 
-			if (this.subscribers[key]) {
-				this.subscribers[key].forEach(callback => callback(value));
+	/**
+	 * Calls the subscribers of the given keys, of paths inside them and of paths
+	 * containing them, and pattern subscribers of matching keys. Each subscription
+	 * is called at most once per key.
+	 * @param {string[]} keys - The state keys or paths that changed.
+	 * @param {Map<string, *>} [previous] - The values the changed paths had before.
+	 */
+	notifySubscribers(keys, previous = new Map()) {
+		Object.keys(this.subscribers).forEach(subscribedKey => {
+			const callbacks = [...this.subscribers[subscribedKey]];
+			if (subscribedKey.includes("*")) {
+				keys.filter(key => matchKeyPattern(subscribedKey, key)).forEach(key => {
+					const value = this.get(key);
+					const previousValue = this.getPreviousValue(key, previous);
+					callbacks.forEach(callback => callback(value, previousValue, key));
+				});
+			} else if (keys.some(key => isRelatedPath(subscribedKey, key))) {
+				const value = this.get(subscribedKey);
+				const previousValue = this.getPreviousValue(subscribedKey, previous);
+				callbacks.forEach(callback => callback(value, previousValue, subscribedKey));
 			}
 		});
+	}
 
-		requestAnimationFrame(updateVisibility);
-		requestAnimationFrame(updateClasses);
+	/**
+	 * Whether a change to a path would notify anyone: a subscriber of the path, of a path
+	 * inside it or containing it, or of a matching pattern.
+	 * @param {string} path - The state key or path.
+	 * @returns {boolean}
+	 */
+	hasSubscribers(path) {
+		return Object.keys(this.subscribers).some(subscribedKey => this.subscribers[subscribedKey].length && (subscribedKey.includes("*")
+			? matchKeyPattern(subscribedKey, path)
+			: isRelatedPath(subscribedKey, path)));
+	}
+
+	/**
+	 * Returns the value a path had before the changes being flushed.
+	 * @param {string} path - The state key or path.
+	 * @param {Map<string, *>} previous - The values the changed paths had before.
+	 * @returns {*} - The previous value; a copy with the old values put back when
+	 *          only paths inside it changed.
+	 */
+	getPreviousValue(path, previous) {
+		if (previous.has(path)) return previous.get(path);
+
+		const changed = [...previous.keys()];
+		const parent = changed.find(key => path.startsWith(key + "."));
+		if (parent !== undefined) return getPath(previous.get(parent), path.slice(parent.length + 1));
+
+		const inner = changed.filter(key => key.startsWith(path + "."));
+		const current = this.get(path);
+		if (!inner.length || !isReactiveContainer(current)) return current;
+		const copy = cloneValue(current);
+		inner.forEach(key => {
+			const parts = key.slice(path.length + 1).split(".");
+			const last = parts.pop();
+			const target = parts.reduce((value, part) => (isReactiveContainer(value) ? value[part] : undefined), copy);
+			if (!isReactiveContainer(target)) return;
+			if (previous.get(key) !== undefined) {
+				target[last] = previous.get(key);
+				return;
+			}
+			// Added since: remove it again, and the trailing holes it leaves in arrays
+			delete target[last];
+			while (Array.isArray(target) && target.length && !(target.length - 1 in target)) {
+				target.length--;
+			}
+		});
+		return copy;
 	}
 
 	get(key) {
-		return this.data[key];
+		trackRead(this, key);
+		const root = String(key).split(".")[0];
+		if (this.computeds[root]) {
+			const value = this.evaluateComputed(root);
+			return root === key ? value : getPath(value, key.slice(root.length + 1));
+		}
+		return getPath(this.data, key);
+	}
+
+	/**
+	 * Defines a computed state key, derived from other state.
+	 * Dependencies are the keys `fn` reads through `State.get`; the value is cached
+	 * and only recomputed when one of them changes. Computed keys work with `get`,
+	 * `subscribe`, `data-bind`, `show-if` and `class-if`, can't be set, and are never persisted.
+	 * @param {string} key - The computed key.
+	 * @param {Function} fn - Computes the value.
+	 * @returns {Function} - Call to remove the computed key.
+	 *
+	 * @example
+	 * State.computed("cartTotal", () =>
+	 *     State.get("cart.items").reduce((sum, item) => sum + item.price, 0));
+	 */
+	computed(key, fn) {
+		this.computeds[key] = { fn, value: undefined, deps: new Set(), dirty: true };
+		updateDOM(key, this.evaluateComputed(key), this);
+		this.notifySubscribers([key], new Map([[key, undefined]]));
+
+		return () => {
+			delete this.computeds[key];
+		};
+	}
+
+	/**
+	 * Returns a computed key's value, recomputing it first if a dependency changed.
+	 * @param {string} key - The computed key.
+	 * @returns {*} - The value.
+	 */
+	evaluateComputed(key) {
+		const entry = this.computeds[key];
+		if (entry.dirty) {
+			entry.dirty = false;
+			let failed = false;
+			// The keys read before a throw are still dependencies, so e.g. a getter reading
+			// a key that isn't set yet recomputes once it is
+			const { value, reads } = collectStateKeys(() => {
+				try {
+					return entry.fn();
+				} catch (e) {
+					failed = true;
+					console.error(`Error computing state key "${key}":`, e);
+				}
+			});
+			entry.deps = reads.get(this) || new Set();
+			if (!failed) entry.value = value;
+		}
+		return entry.value;
+	}
+
+	/**
+	 * Recomputes the computed keys that depend on changed keys (directly or through
+	 * other computed keys).
+	 * @param {string[]} changedKeys - The state keys or paths that changed.
+	 * @param {Map<string, *>} [previous] - Receives the previous values of the changed computed keys.
+	 * @returns {string[]} - The computed keys whose value changed.
+	 */
+	invalidateComputed(changedKeys, previous = new Map()) {
+		const stale = [];
+		const markStale = (key) => {
+			Object.entries(this.computeds).forEach(([name, entry]) => {
+				if (entry.dirty || ![...entry.deps].some(dep => isRelatedPath(dep, key))) return;
+				entry.dirty = true;
+				stale.push(name);
+				markStale(name);
+			});
+		};
+		changedKeys.forEach(markStale);
+
+		return stale.filter(name => {
+			if (!this.computeds[name]) return false;
+			const value = this.computeds[name].value;
+			if (this.evaluateComputed(name) === value) return false;
+			previous.set(name, value);
+			return true;
+		});
+	}
+
+	/**
+	 * Defines a state key loaded by an async function. Alongside `key` it maintains
+	 * `key_loading`, `key_error` (the error message, or null) and `key_updatedAt`.
+	 * The fetcher runs right away and again when a dependency key changes; a request
+	 * still running when the next one starts is aborted and its result ignored.
+	 * @param {string} key - The state key the data is stored under.
+	 * @param {Function} fetcher - Called with `{ signal, deps }`, where `signal` is an AbortSignal
+	 *        and `deps` the values of the dependency keys. Returns the data or a promise of it.
+	 * @param {Object} [options]
+	 * @param {string[]} [options.deps] - State keys the request depends on.
+	 * @param {number} [options.cache=0] - Milliseconds a result is reused for the same dependency values.
+	 * @returns {StateResource} - Has `refresh()` to fetch again and `dispose()` to stop.
+	 *
+	 * @example
+	 * const users = State.resource("users", ({ signal, deps }) =>
+	 *     fetch(`/api/users?page=${deps.page}`, { signal }).then(response => response.json()),
+	 *     { deps: ["page"], cache: 60000 });
+	 *
+	 * <p show-if="users_loading">Loading…</p>
+	 * <p show-if="users_error" data-bind="users_error"></p>
+	 * <button onClick={() => users.refresh()}>Reload</button>
+	 */
+	resource(key, fetcher, options = {}) {
+		["loading", "error", "updatedAt"].forEach(suffix => this.resourceStatusKeys.add(`${key}_${suffix}`));
+		return new StateResource(this, key, fetcher, options);
+	}
+
+	/**
+	 * Disposes a store created with `createStore`: removes it from the stores `store`
+	 * attributes refer to, drops its subscribers (and so its resources' dependencies)
+	 * and middleware, and stops syncing it. Stores created while a component renders
+	 * are disposed with the component.
+	 */
+	dispose() {
+		if (!this.name) {
+			console.warn("The global State can't be disposed");
+			return;
+		}
+		if (stores.get(this.name) === this) stores.delete(this.name);
+		this.subscribers = {};
+		this.middleware = [];
+		if (this.syncChannel) this.syncChannel.close();
+		if (this.syncListener) window.removeEventListener("storage", this.syncListener);
+		this.syncChannel = null;
+		this.syncListener = null;
 	}
 
 	getData() {
 		return this.data;
 	}
 
-	
-	subscribe(key, callback) {
+	/**
+	 * Sets up where and what state is persisted.
+	 * Keys are matched by name, `*` matching any characters. Runtime PWA and route state,
+	 * `__*` keys, validation flags (`*_valid`, `*_invalid`), the `_loading`, `_error` and
+	 * `_updatedAt` keys of resources created with `resource()` and functions are never persisted.
+	 * @param {Object} [options]
+	 * @param {string|Object} [options.adapter="localStorage"] - "localStorage", "sessionStorage",
+	 *        "indexedDB", "memory", or an object with `getItem(key)`, `setItem(key, value)` and
+	 *        `removeItem(key)`. Its methods may return promises.
+	 * @param {string} [options.namespace] - Prefixes the storage key, e.g. "shop" stores under "shop:state".
+	 * @param {string} [options.key="state"] - The storage key.
+	 * @param {string[]} [options.include] - Only persist keys matching these patterns.
+	 * @param {string[]} [options.exclude] - Never persist keys matching these patterns.
+	 * @param {number|Object} [options.ttl] - Milliseconds a persisted key lives after it was
+	 *        last written: one value for every key, or per key pattern, e.g. `{ "draft_*": 86400000 }`.
+	 * @param {number} [options.version=0] - Schema version of the persisted state, stored as `__version`.
+	 * @param {Object} [options.migrations] - Functions upgrading stored state, keyed by the version
+	 *        they upgrade to. Each receives the state at the previous version and returns it migrated.
+	 * @param {Function} [options.onError] - Called with `(error, raw)` when stored state can't be
+	 *        read, parsed or migrated. The app then starts from an empty state, or from the object
+	 *        `onError` returns.
+	 * @param {boolean|Object} [options.sync] - Sends changes of persisted keys to the app's other tabs,
+	 *        and applies theirs. Pass `{ local: ["draft_*"] }` to keep more keys tab-local than the
+	 *        route keys, and `channel` to change the channel name (the storage key by default).
+	 *
+	 * @example
+	 * window.PragmaticConfig = {
+	 *     persist: {
+	 *         version: 2,
+	 *         migrations: {
+	 *             1: ({ user, ...state }) => ({ ...state, profile: user }),
+	 *             2: (state) => ({ ...state, theme: state.darkMode ? "dark" : "light" })
+	 *         },
+	 *         onError: (error) => reportError(error)
+	 *     }
+	 * };
+	 */
+	configurePersistence(options = {}) {
+		const adapter = options.adapter || "localStorage";
+		if (typeof adapter === "string" && !storageAdapters[adapter]) {
+			throw new Error(`Unknown storage adapter "${adapter}"`);
+		}
+		this.storage = typeof adapter === "string" ? storageAdapters[adapter]() : adapter;
+		this.storageKey = (options.namespace ? `${options.namespace}:` : "") + (options.key || "state");
+		this.persistInclude = options.include || null;
+		this.persistExclude = [...defaultPersistExclude, ...(options.exclude || [])];
+		this.persistTTL = options.ttl || null;
+		this.persistVersion = options.version || 0;
+		this.migrations = options.migrations || {};
+		this.onPersistError = options.onError || null;
+		this.expiries = {};
+
+		const sync = options.sync === true ? {} : options.sync;
+		this.syncOptions = sync ? {
+			channel: sync.channel || this.storageKey,
+			local: [...defaultTabLocalKeys, ...(sync.local || [])]
+		} : null;
+	}
+
+	/**
+	 * Whether a top-level state key is written to storage.
+	 * @param {string} key - The state key.
+	 * @returns {boolean}
+	 */
+	isPersistedKey(key) {
+		if (this.resourceStatusKeys.has(key)) return false;
+		if (this.persistInclude && !this.persistInclude.some(pattern => matchKeyPattern(pattern, key))) return false;
+		return !this.persistExclude.some(pattern => matchKeyPattern(pattern, key));
+	}
+
+	/**
+	 * Returns how long a key lives in storage, from the `ttl` option.
+	 * @param {string} key - The state key.
+	 * @returns {number|null} - Milliseconds, or null if the key doesn't expire.
+	 */
+	getTTL(key) {
+		if (typeof this.persistTTL === "number") return this.persistTTL;
+		if (!this.persistTTL) return null;
+		const pattern = Object.keys(this.persistTTL).find(pattern => matchKeyPattern(pattern, key));
+		return pattern ? this.persistTTL[pattern] : null;
+	}
+
+	/**
+	 * Restarts the expiry of changed keys that have a TTL.
+	 * @param {string[]} paths - The state keys or paths that changed.
+	 */
+	touchExpiries(paths) {
+		paths.forEach(path => {
+			const key = path.split(".")[0];
+			const ttl = this.getTTL(key);
+			if (ttl === null || this.data[key] === undefined) {
+				delete this.expiries[key];
+			} else {
+				this.expiries[key] = Date.now() + ttl;
+			}
+		});
+	}
+
+	/**
+	 * Reads persisted state. With an asynchronous adapter this returns an empty object
+	 * and the stored values are applied once loaded; `State.ready` resolves then.
+	 * Keys written before that keep their newer value.
+	 * @returns {Object} - The stored state.
+	 */
+	loadPersistedState() {
+		let stored;
+		try {
+			stored = this.storage.getItem(this.storageKey);
+		} catch (e) {
+			return this.recoverPersistedState(e, null);
+		}
+		if (stored && typeof stored.then === "function") {
+			this.hydrated = false;
+			this.writtenBeforeHydration = new Set();
+			this.ready = stored
+				.then(raw => this.parsePersistedState(raw), e => this.recoverPersistedState(e, null))
+				.then(data => {
+					this.withSource("hydrate", () => this.batch(() => {
+						Object.keys(data).forEach(key => {
+							if (!this.writtenBeforeHydration.has(key)) this.data[key] = data[key];
+						});
+					}));
+				})
+				.catch(e => console.error("Failed to apply persisted state:", e))
+				.then(() => {
+					this.hydrated = true;
+					this.persistState();
+				});
+			return {};
+		}
+
+		this.hydrated = true;
+		this.ready = Promise.resolve();
+		return this.parsePersistedState(stored);
+	}
+
+	/**
+	 * Parses stored state, drops expired keys, runs the migrations from the stored
+	 * version to the current one, then drops keys that are no longer persisted.
+	 * Without stored state (e.g. on a fresh install) no migrations run: the state
+	 * starts from its defaults and is stored at the current version.
+	 * @param {string|null} raw - The stored JSON.
+	 * @returns {Object} - The state, or the fallback state if any step fails.
+	 */
+	parsePersistedState(raw) {
+		if (raw === null || raw === undefined) {
+			this.expiries = {};
+			return {};
+		}
+		try {
+			let data = JSON.parse(raw) || {};
+			if (typeof data !== "object" || Array.isArray(data)) {
+				throw new Error("Persisted state is not an object");
+			}
+			const expiries = data.__expires || {};
+			const storedVersion = data.__version || 0;
+			delete data.__expires;
+			delete data.__version;
+
+			Object.keys(data).forEach(key => {
+				if (expiries[key] && expiries[key] <= Date.now()) delete data[key];
+			});
+
+			if (storedVersion > this.persistVersion) {
+				throw new Error(`Persisted state version ${storedVersion} is newer than ${this.persistVersion}`);
+			}
+			for (let version = storedVersion + 1; version <= this.persistVersion; version++) {
+				if (this.migrations[version]) {
+					data = this.migrations[version](data) || data;
+				}
+			}
+
+			this.expiries = {};
+			Object.keys(data).forEach(key => {
+				if (!this.isPersistedKey(key)) {
+					delete data[key];
+				} else if (expiries[key]) {
+					this.expiries[key] = expiries[key];
+				}
+			});
+			return data;
+		} catch (e) {
+			return this.recoverPersistedState(e, raw);
+		}
+	}
+
+	/**
+	 * Reports stored state that couldn't be loaded and returns the state to start from.
+	 * @param {Error} error - What went wrong.
+	 * @param {string|null} raw - The stored JSON, if it could be read.
+	 * @returns {Object} - The `onError` result if it's an object, otherwise an empty state.
+	 */
+	recoverPersistedState(error, raw) {
+		this.expiries = {};
+		if (!this.onPersistError) {
+			console.error("Failed to load persisted state, starting from defaults:", error);
+			return {};
+		}
+		try {
+			const fallback = this.onPersistError(error, raw);
+			return fallback && typeof fallback === "object" ? fallback : {};
+		} catch (e) {
+			console.error("Error in persistence onError hook:", e);
+			return {};
+		}
+	}
+
+	/**
+	 * Starts listening for changes from other tabs, over a BroadcastChannel where
+	 * available and through `storage` events otherwise.
+	 */
+	startSync() {
+		if (!this.syncOptions) return;
+		const { channel } = this.syncOptions;
+		if (typeof BroadcastChannel === "function") {
+			this.syncChannel = new BroadcastChannel(channel);
+			this.syncChannel.onmessage = (event) => this.applySyncMessage(event.data);
+		} else {
+			this.syncListener = (event) => {
+				if (event.key === `${channel}:sync` && event.newValue) {
+					this.applySyncMessage(event.newValue);
+				}
+			};
+			window.addEventListener("storage", this.syncListener);
+		}
+	}
+
+	/**
+	 * Whether a key is sent to and accepted from other tabs.
+	 * @param {string} key - The state key.
+	 * @returns {boolean}
+	 */
+	isSyncedKey(key) {
+		return this.isPersistedKey(key) && !this.syncOptions.local.some(pattern => matchKeyPattern(pattern, key));
+	}
+
+	/**
+	 * Sends the new values of changed keys to other tabs.
+	 * @param {string[]} paths - The state keys or paths that changed.
+	 */
+	broadcastChanges(paths) {
+		if (!this.syncOptions || this.applyingSync) return;
+		const changes = {};
+		const deleted = [];
+		new Set(paths.map(path => path.split(".")[0])).forEach(key => {
+			if (!this.isSyncedKey(key) || typeof this.data[key] === "function") return;
+			if (this.data[key] === undefined) {
+				deleted.push(key);
+			} else {
+				changes[key] = this.data[key];
+			}
+		});
+		if (!deleted.length && !Object.keys(changes).length) return;
+
+		try {
+			const message = JSON.stringify({ changes, deleted, tab: syncTabId, id: ++syncMessageCount });
+			if (this.syncChannel) {
+				this.syncChannel.postMessage(message);
+			} else {
+				localStorage.setItem(`${this.syncOptions.channel}:sync`, message);
+			}
+		} catch (e) {
+			console.error("Failed to sync state:", e);
+		}
+	}
+
+	/**
+	 * Applies changes from another tab as one batch, without sending them back or
+	 * recording them in history. Changes subscribers make in reaction are sent.
+	 * @param {string} raw - The JSON message.
+	 */
+	applySyncMessage(raw) {
+		let message;
+		try {
+			message = JSON.parse(raw);
+		} catch (e) {
+			console.error("Ignoring malformed sync message:", e);
+			return;
+		}
+
+		this.applyingSync = true;
+		try {
+			this.withSource("sync", () => this.batch(() => {
+				Object.keys(message.changes || {}).forEach(key => {
+					if (!this.isSyncedKey(key)) return;
+					this.data[key] = message.changes[key];
+					this.pendingNotifications.add(key);
+				});
+				(message.deleted || []).forEach(key => {
+					if (!this.isSyncedKey(key)) return;
+					delete this.data[key];
+					this.pendingNotifications.add(key);
+				});
+			}));
+		} finally {
+			this.applyingSync = false;
+		}
+	}
+
+	/**
+	 * Writes the persisted keys to storage, with their expiry times under `__expires`
+	 * and the schema version under `__version`.
+	 */
+	persistState() {
+		if (!this.hydrated) return;
+		const data = {};
+		const expiries = {};
+		Object.keys(this.data).forEach(key => {
+			const value = this.data[key];
+			if (typeof value === "function" || value === undefined || !this.isPersistedKey(key)) return;
+			data[key] = value;
+			if (this.expiries[key]) expiries[key] = this.expiries[key];
+		});
+		if (Object.keys(expiries).length) {
+			data.__expires = expiries;
+		}
+		if (this.persistVersion) {
+			data.__version = this.persistVersion;
+		}
+
+		try {
+			const result = this.storage.setItem(this.storageKey, JSON.stringify(data));
+			if (result && typeof result.catch === "function") {
+				result.catch(e => console.error("Failed to persist state:", e));
+			}
+		} catch (e) {
+			console.error("Failed to persist state:", e);
+		}
+	}
+
+	/**
+	 * Calls `callback(value, previous, key)` whenever a key changes, however it's written.
+	 * `key` may be a path (`"user.name"`, also called when `user` is replaced) or a pattern
+	 * where `*` matches any characters: `"*"` for every change, `"form.*"`, `"*_invalid"`.
+	 * Pattern subscribers are called once per matching changed path: `"form.*"` is called for
+	 * changes inside `form`, not for replacing `form` itself.
+	 * @param {string} key - The state key, path or pattern.
+	 * @param {Function} callback - Receives the new value, the previous value and the changed key.
+	 * @param {Object} [options]
+	 * @param {boolean} [options.immediate=true] - Also call right away with the current value
+	 *        (never for patterns).
+	 * @param {boolean} [options.once=false] - Unsubscribe after the first call. Combine with
+	 *        `immediate: false` to wait for the next change.
+	 * @returns {Function} - Call to unsubscribe.
+	 *
+	 * @example
+	 * State.subscribe("*_invalid", (invalid, wasInvalid, key) => console.log(key, invalid));
+	 * State.subscribe("user", (user) => greet(user.name), { immediate: false, once: true });
+	 */
+	subscribe(key, callback, options = {}) {
+		const { immediate = true, once = false } = options;
 		if (!this.subscribers[key]) {
 			this.subscribers[key] = [];
 		}
-		this.subscribers[key].push(callback);
-		callback(this.data[key]);
-
-		return () => {
-			this.subscribers[key] = this.subscribers[key].filter(cb => cb !== callback);
+		const unsubscribe = () => {
+			this.subscribers[key] = (this.subscribers[key] || []).filter(cb => cb !== subscriber);
 		};
+		const subscriber = once
+			? (...args) => {
+				unsubscribe();
+				callback(...args);
+			}
+			: callback;
+		this.subscribers[key].push(subscriber);
+		if (immediate && !key.includes("*")) {
+			// The immediate call isn't a dependency of an enclosing effect
+			collectStateKeys(() => subscriber(this.get(key), undefined, key));
+		}
+
+		return unsubscribe;
 	}
 
 	reset(initialState = {}) {
-		Object.keys(this.data).forEach(key => delete this.data[key]);
 		this.subscribers = {};
-		Object.assign(this.data, initialState);
+		this.withSource("reset", () => this.batch(() => {
+			Object.keys(this.data).forEach(key => delete this.data[key]);
+			Object.assign(this.data, initialState);
+		}));
 
 		document.querySelectorAll("[data-bind], [show-if], [class-if]").forEach(el => {
+			if (getElementStore(el) !== this) return;
 			const bindKey = el.getAttribute("data-bind");
 			const showIf = el.getAttribute("show-if");
 			const classIf = el.getAttribute("class-if");
@@ -334,14 +1033,14 @@ class StateSingleton {
 			if (bindKey) {
 				if (el.tagName === "INPUT") {
 					if (el.type === "checkbox" || el.type === "radio") {
-						el.checked = !!initialState[bindKey];
+						el.checked = !!getPath(initialState, bindKey);
 					} else {
-						el.value = initialState[bindKey] || "";
+						el.value = getPath(initialState, bindKey) || "";
 					}
 				} else if (el.tagName === "TEXTAREA" || el.tagName === "SELECT") {
-					el.value = initialState[bindKey] || "";
+					el.value = getPath(initialState, bindKey) || "";
 				} else {
-					el.textContent = initialState[bindKey] || "";
+					el.textContent = getPath(initialState, bindKey) || "";
 				}
 			}
 
@@ -357,6 +1056,45 @@ class StateSingleton {
 		});
 	}
 
+	/**
+	 * Returns a plain copy of the state, e.g. to attach to a bug report.
+	 * Functions and runtime-only keys (`pwaInstallPrompt`, `canUndo`, `canRedo`, `__*`) are left out.
+	 * @returns {{takenAt: number, data: Object}} - The snapshot, safe to `JSON.stringify`.
+	 */
+	snapshot() {
+		const data = {};
+		Object.keys(this.data).forEach(key => {
+			if (isSnapshotKey(key) && typeof this.data[key] !== "function") {
+				data[key] = cloneValue(this.data[key]);
+			}
+		});
+		return { takenAt: Date.now(), data };
+	}
+
+	/**
+	 * Replaces the state with a snapshot, as one batch. Unlike `reset`, subscribers are kept
+	 * and notified, and the change can be undone. Route keys are left alone since they
+	 * follow the location: navigate to `snapshot.data.route` to restore it too.
+	 * @param {{data: Object}} snapshot - A snapshot from `State.snapshot()`.
+	 */
+	restore(snapshot) {
+		const data = snapshot.data || {};
+		const restorable = (key) => isSnapshotKey(key) && !defaultTabLocalKeys.includes(key);
+		this.withSource("restore", () => this.batch(() => {
+			Object.keys(this.data).forEach(key => {
+				if (restorable(key) && !(key in data) && typeof this.data[key] !== "function") {
+					delete this.data[key];
+					this.pendingNotifications.add(key);
+				}
+			});
+			Object.keys(data).forEach(key => {
+				if (!restorable(key)) return;
+				this.data[key] = cloneValue(data[key]);
+				this.pendingNotifications.add(key);
+			});
+		}));
+	}
+
 	// Add PWA initialization method
 	initPWA() {
 		// Check if already running as installed PWA
@@ -510,35 +1248,674 @@ class StateSingleton {
 	}
 }
 
-//------------------------------------------------ END STATE
-
-const State = new StateSingleton();
-window.State = State;
-
-// Add PWA methods directly to State object for easy access
-State.triggerInstall = State.triggerInstall.bind(State);
-State.checkAndUpdatePWAState = State.checkAndUpdatePWAState.bind(State);
-
-
+/**
+ * Keys that are never persisted: runtime-only PWA and route state (the route comes
+ * from the URL on load), internal `__*` keys and validation flags.
+ */
+const defaultPersistExclude = [
+	"pwaInstallPrompt", "showInstallButton", "userInteractions", "canUndo", "canRedo",
+	"route", "routeParams", "routeQuery", "routeLoading", "routeError",
+	"__*", "*_valid", "*_invalid"
+];
 
-window.State = State;
-window.Fragment = Symbol("Fragment");
+/**
+ * Stores created with `createStore`, by name.
+ */
+const stores = new Map();
+let storeCount = 0;
 
 /**
- * Creates an internal navigation link that automatically uses the SPA router.
- * @param {string} href - The internal route path
- * @param {Object} props - Additional props for the anchor element
+ * Creates an isolated store with the same API as `State`: its own keys, subscribers,
+ * computed keys, history, middleware and persistence (in memory unless `persist` is given;
+ * named stores are namespaced by their name).
+ * Directives inside an element with a `store` attribute or prop use that store.
+ * @param {Object} [options]
+ * @param {string} [options.name] - The name `store` attributes refer to. Generated if omitted.
+ * @param {Object} [options.state] - Initial state.
+ * @param {Object} [options.persist] - Persistence options, as for `State`.
+ * @returns {StateSingleton} - The store. Call `store.dispose()` once it's no longer used;
+ *          a store created while a component renders is disposed with the component.
+ *
+ * @example
+ * // A widget that can be embedded any number of times
+ * const Counter = () => {
+ *     const local = Pragmatic.createStore({ state: { count: 0 } });
+ *     return <div store={local}>
+ *         <span data-bind="count"></span>
+ *         <button onClick={() => local.set({ count: local.get("count") + 1 })}>+</button>
+ *     </div>;
+ * };
+ *
+ * // Or by name, in markup
+ * Pragmatic.createStore({ name: "cart", state: { items: [] }, persist: {} });
+ * <aside store="cart"><span data-bind="items.length"></span></aside>
+ */
+function createStore(options = {}) {
+	const name = options.name || `store-${++storeCount}`;
+	if (stores.has(name)) {
+		console.warn(`Replacing store "${name}"`);
+	}
+	const store = new StateSingleton({ ...options, name });
+	stores.set(name, store);
+	if (componentHooks) {
+		componentHooks.cleanups.push(() => store.dispose());
+	}
+	return store;
+}
+
+/**
+ * Returns the store an element's directives use: the one of its nearest ancestor
+ * (or itself) with a `store` attribute, or the global `State`.
+ * @param {Element} element - The element.
+ * @returns {StateSingleton} - The store.
+ */
+function getElementStore(element) {
+	const scope = element.closest ? element.closest("[store]") : null;
+	if (!scope) return State;
+	return scope.store || stores.get(scope.getAttribute("store")) || State;
+}
+
+/**
+ * Makes an element the scope of a store, for the `store` prop.
+ * @param {Element} el - The element.
+ * @param {StateSingleton} store - The store.
+ */
+function scopeStore(el, store) {
+	el.store = store;
+	el.setAttribute("store", store.name);
+	requestAnimationFrame(() => store.refreshDOM());
+}
+
+/**
+ * Keys that always stay tab-local when syncing, since each tab has its own location.
+ */
+const defaultTabLocalKeys = ["route", "routeParams", "routeQuery", "routeLoading", "routeError"];
+
+/**
+ * Identifies this tab's sync messages: a random tab id and a count of the messages
+ * sent, so repeating the same change still fires `storage` events in other tabs.
+ */
+const syncTabId = Math.random().toString(36).slice(2);
+let syncMessageCount = 0;
+
+/**
+ * Built-in storage adapters, by name.
+ */
+const storageAdapters = {
+	localStorage: () => window.localStorage,
+	sessionStorage: () => window.sessionStorage,
+	indexedDB: () => createIndexedDBAdapter(),
+	memory: () => createMemoryAdapter()
+};
+
+/**
+ * Creates a storage adapter that keeps values in memory, e.g. for tests or
+ * for state that shouldn't outlive the page.
+ * @returns {Object} - The adapter.
+ */
+function createMemoryAdapter() {
+	const values = new Map();
+	return {
+		getItem: (key) => (values.has(key) ? values.get(key) : null),
+		setItem: (key, value) => values.set(key, String(value)),
+		removeItem: (key) => values.delete(key)
+	};
+}
+
+/**
+ * Creates an asynchronous storage adapter backed by IndexedDB, for state too
+ * large for localStorage.
+ * @param {string} [dbName="pragmatic"] - The database name.
+ * @param {string} [storeName="state"] - The object store name.
+ * @returns {Object} - The adapter.
+ */
+function createIndexedDBAdapter(dbName = "pragmatic", storeName = "state") {
+	let database = null;
+	const open = () => {
+		if (!database) {
+			database = new Promise((resolve, reject) => {
+				const request = indexedDB.open(dbName, 1);
+				request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+				request.onsuccess = () => resolve(request.result);
+				request.onerror = () => reject(request.error);
+			});
+		}
+		return database;
+	};
+	const run = (mode, operation) => open().then(db => new Promise((resolve, reject) => {
+		const transaction = db.transaction(storeName, mode);
+		const request = operation(transaction.objectStore(storeName));
+		transaction.oncomplete = () => resolve(request.result);
+		transaction.onerror = () => reject(transaction.error);
+	}));
+
+	return {
+		getItem: (key) => run("readonly", store => store.get(key)).then(value => (value === undefined ? null : value)),
+		setItem: (key, value) => run("readwrite", store => store.put(value, key)),
+		removeItem: (key) => run("readwrite", store => store.delete(key))
+	};
+}
+
+/**
+ * Matches a state key against a pattern where `*` matches any characters.
+ * @param {string} pattern - The pattern, e.g. "form_*".
+ * @param {string} key - The state key.
+ * @returns {boolean}
+ */
+function matchKeyPattern(pattern, key) {
+	if (!pattern.includes("*")) return pattern === key;
+	const source = pattern.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+	return new RegExp(`^${source}$`).test(key);
+}
+
+/**
+ * Whether a key belongs in `State.snapshot()`.
+ * @param {string} key - The state key.
+ * @returns {boolean}
+ */
+function isSnapshotKey(key) {
+	return !["pwaInstallPrompt", "canUndo", "canRedo"].includes(key) && !key.startsWith("__");
+}
+
+/**
+ * Deep-copies plain objects and arrays (including reactive ones) into plain, non-reactive values.
+ * @param {*} value - The value.
+ * @returns {*} - The copy.
+ */
+function cloneValue(value) {
+	if (!isReactiveContainer(value)) return value;
+	if (Array.isArray(value)) return value.map(cloneValue);
+	return Object.keys(value).reduce((copy, key) => {
+		copy[key] = cloneValue(value[key]);
+		return copy;
+	}, {});
+}
+
+/**
+ * Undo/redo history for selected state keys, available as `State.history`.
+ * Each batch of changes becomes one entry holding a patch (the value before and after)
+ * per changed key. `canUndo` and `canRedo` are kept up to date as state keys.
+ *
+ * @example
+ * State.history.track(["document", "selection"], { debounce: 500 });
+ * <button onClick={() => State.history.undo()} show-if="canUndo">Undo</button>
+ */
+class StateHistory {
+	constructor(state) {
+		this.state = state;
+		this.patterns = [];
+		this.undoStack = [];
+		this.redoStack = [];
+		this.current = {};
+		this.applying = false;
+	}
+
+	/**
+	 * Starts recording changes to keys matching the given patterns (`*` matches any characters).
+	 * @param {string|string[]} keys - Key patterns.
+	 * @param {Object} [options]
+	 * @param {number} [options.limit=100] - Maximum number of undo entries.
+	 * @param {number} [options.debounce=0] - Changes made less than this many milliseconds
+	 *        after the previous one join its entry.
+	 */
+	track(keys, options = {}) {
+		this.patterns = [...this.patterns, ...[].concat(keys)];
+		this.limit = options.limit || 100;
+		this.debounce = options.debounce || 0;
+		Object.keys(this.state.data).forEach(key => {
+			if (this.isTracked(key) && !(key in this.current)) {
+				this.current[key] = cloneValue(this.state.data[key]);
+			}
+		});
+	}
+
+	/**
+	 * @param {string} key - The state key.
+	 * @returns {boolean}
+	 */
+	isTracked(key) {
+		return key !== "canUndo" && key !== "canRedo" && this.patterns.some(pattern => matchKeyPattern(pattern, key));
+	}
+
+	/**
+	 * Records changed tracked keys as an undo entry. Called when a batch is flushed.
+	 * Changes made by undo/redo and by other tabs aren't recorded.
+	 * @param {string[]} paths - The state keys or paths that changed.
+	 */
+	record(paths) {
+		const keys = [...new Set(paths.map(path => path.split(".")[0]))].filter(key => this.isTracked(key));
+		if (!keys.length) return;
+
+		const after = {};
+		keys.forEach(key => {
+			after[key] = cloneValue(this.state.data[key]);
+		});
+		const previous = this.current;
+		this.current = { ...this.current, ...after };
+		if (this.applying || this.state.applyingSync) return;
+		if (keys.every(key => JSON.stringify(previous[key]) === JSON.stringify(after[key]))) return;
+
+		const now = Date.now();
+		let entry = this.undoStack[this.undoStack.length - 1];
+		if (!entry || !this.debounce || now - entry.at > this.debounce || this.redoStack.length) {
+			entry = { patches: {}, at: now };
+			this.undoStack.push(entry);
+			if (this.undoStack.length > this.limit) this.undoStack.shift();
+		}
+		keys.forEach(key => {
+			if (!(key in entry.patches)) entry.patches[key] = { before: previous[key] };
+			entry.patches[key].after = after[key];
+		});
+		entry.at = now;
+		this.redoStack = [];
+		this.updateFlags();
+	}
+
+	/**
+	 * Reverts the last entry.
+	 * @returns {boolean} - Whether there was anything to undo.
+	 */
+	undo() {
+		return this.move(this.undoStack, this.redoStack, "before");
+	}
+
+	/**
+	 * Reapplies the last undone entry.
+	 * @returns {boolean} - Whether there was anything to redo.
+	 */
+	redo() {
+		return this.move(this.redoStack, this.undoStack, "after");
+	}
+
+	/**
+	 * Forgets all entries.
+	 */
+	clear() {
+		this.undoStack = [];
+		this.redoStack = [];
+		this.updateFlags();
+	}
+
+	/**
+	 * Applies one side of the last entry of `from` and moves the entry onto `to`.
+	 * @param {Array} from - The stack to take the entry from.
+	 * @param {Array} to - The stack to put it on.
+	 * @param {string} side - "before" or "after".
+	 * @returns {boolean} - Whether there was an entry.
+	 */
+	move(from, to, side) {
+		const entry = from.pop();
+		if (!entry) return false;
+		to.push(entry);
+
+		this.applying = true;
+		try {
+			this.state.withSource("history", () => this.state.batch(() => {
+				Object.entries(entry.patches).forEach(([key, patch]) => {
+					if (patch[side] === undefined) {
+						delete this.state.data[key];
+					} else {
+						this.state.data[key] = cloneValue(patch[side]);
+					}
+					this.state.pendingNotifications.add(key);
+				});
+				this.updateFlags();
+			}));
+		} finally {
+			this.applying = false;
+		}
+		return true;
+	}
+
+	updateFlags() {
+		this.state.set({ canUndo: this.undoStack.length > 0, canRedo: this.redoStack.length > 0 });
+	}
+}
+
+/**
+ * A state key loaded by an async function, created by `State.resource`.
+ */
+class StateResource {
+	constructor(state, key, fetcher, options = {}) {
+		this.state = state;
+		this.key = key;
+		this.fetcher = fetcher;
+		this.deps = options.deps || [];
+		this.cacheTime = options.cache || 0;
+		this.cache = new Map();
+		this.controller = null;
+		this.pending = null;
+		this.pendingKey = null;
+		this.scheduled = false;
+
+		this.unsubscribers = this.deps.map(dep => state.subscribe(dep, () => this.scheduleFetch(), { immediate: false }));
+
+		this.fetch();
+	}
+
+	/**
+	 * Fetches once after the current changes, when several dependencies change together.
+	 */
+	scheduleFetch() {
+		if (this.scheduled) return;
+		this.scheduled = true;
+		queueMicrotask(() => {
+			this.scheduled = false;
+			this.fetch();
+		});
+	}
+
+	/**
+	 * Fetches for the current dependency values, unless the same request is already
+	 * running or a fresh cached result exists.
+	 * @param {boolean} [force=false] - Skip the cache and any running request.
+	 * @returns {Promise<*>} - The data, or undefined if the request failed or was superseded.
+	 */
+	fetch(force = false) {
+		const { key, state } = this;
+		const deps = {};
+		this.deps.forEach(dep => {
+			deps[dep] = state.get(dep);
+		});
+		const depsKey = JSON.stringify(deps);
+
+		if (!force && this.pending && this.pendingKey === depsKey) {
+			return this.pending;
+		}
+		const cached = this.cache.get(depsKey);
+		if (!force && cached && Date.now() - cached.updatedAt < this.cacheTime) {
+			this.cancel();
+			state.set({ [key]: cached.value, [`${key}_loading`]: false, [`${key}_error`]: null, [`${key}_updatedAt`]: cached.updatedAt });
+			return Promise.resolve(cached.value);
+		}
+
+		this.cancel();
+		const controller = new AbortController();
+		this.controller = controller;
+		this.pendingKey = depsKey;
+		state.set({ [`${key}_loading`]: true, [`${key}_error`]: null });
+
+		this.pending = Promise.resolve()
+			.then(() => this.fetcher({ signal: controller.signal, deps }))
+			.then(value => {
+				if (controller.signal.aborted) return undefined;
+				const updatedAt = Date.now();
+				if (this.cacheTime) {
+					this.cache.set(depsKey, { value, updatedAt });
+				}
+				state.set({ [key]: value, [`${key}_loading`]: false, [`${key}_updatedAt`]: updatedAt });
+				return value;
+			}, error => {
+				if (controller.signal.aborted) return undefined;
+				state.set({
+					[`${key}_loading`]: false,
+					[`${key}_error`]: error && error.message ? error.message : String(error)
+				});
+				return undefined;
+			})
+			.finally(() => {
+				if (this.controller === controller) {
+					this.controller = null;
+					this.pending = null;
+				}
+			});
+		return this.pending;
+	}
+
+	/**
+	 * Fetches again, bypassing the cache.
+	 * @returns {Promise<*>} - The data, or undefined if the request failed or was superseded.
+	 */
+	refresh() {
+		return this.fetch(true);
+	}
+
+	/**
+	 * Aborts the running request, if any, leaving the state keys to the caller.
+	 */
+	cancel() {
+		if (this.controller) {
+			this.controller.abort();
+			this.controller = null;
+			this.pending = null;
+		}
+	}
+
+	/**
+	 * Aborts the running request, if any. The data and error stay as they were.
+	 */
+	abort() {
+		if (!this.controller) return;
+		this.cancel();
+		this.state.set({ [`${this.key}_loading`]: false });
+	}
+
+	/**
+	 * Stops re-fetching on dependency changes and aborts the running request.
+	 */
+	dispose() {
+		this.unsubscribers.forEach(unsubscribe => unsubscribe());
+		this.abort();
+	}
+}
+
+//------------------------------------------------ END STATE
+
+// Router options, see configureRouter(). Declared before State, whose initial
+// route is read from the address bar with them
+const routerOptions = {
+	mode: "history",
+	base: "",
+	scrollOffset: 0,
+	activeClass: "active",
+	exactActiveClass: "exact-active",
+	loading: null,
+	error: null
+};
+// Whether the initial navigation ran, after which a hash-mode "#anchor" keeps the current route
+let routerStarted = false;
+
+/**
+ * Options can be given before the script loads:
+ * window.PragmaticConfig = { persist: { namespace: "shop", exclude: ["password"] } };
+ */
+const State = new StateSingleton(window.PragmaticConfig);
+window.State = State;
+
+// Add PWA methods directly to State object for easy access
+State.triggerInstall = State.triggerInstall.bind(State);
+State.checkAndUpdatePWAState = State.checkAndUpdatePWAState.bind(State);
+
+
+
+window.State = State;
+window.Fragment = Symbol("Fragment");
+
+/**
+ * Creates an internal navigation link that automatically uses the SPA router.
+ * @param {string} href - The internal route path
+ * @param {Object} props - Additional props for the anchor element
  * @param {...any} children - The link content
  * @returns {HTMLAnchorElement} - An anchor element with internal navigation
  */
 window.Link = (props, ...children) => {
-  const { href, ...otherProps } = props;
+  // h() passes the children as arguments too; as a prop they'd be set on the anchor
+  const { href, location, children: propChildren, ...otherProps } = props;
   if (!href || !href.startsWith("/")) {
     console.warn("Link component expects an internal route path starting with '/'");
   }
   return h("a", { href, ...otherProps }, ...children);
 };
 
+/**
+ * Renders a list keyed by item, updating only what changed: rows are created for new
+ * keys, moved when their position changes and removed with their key, so focus, input
+ * values and transitions in the other rows are kept.
+ * `renderItem` is called once per key, with accessors for the row's current item and
+ * index; read them in function children or function-valued `show-if`/`class-if` to
+ * update the row in place when they change.
+ * @param {Object} props
+ * @param {Function|Array} props.each - Returns the items; reading state in it makes the list reactive.
+ * @param {Function} [props.key] - Returns an item's unique key, `(item, index)`. Defaults to the item
+ *        itself (for state objects, the object rather than its proxy, which changes with its index).
+ * @param {Function} renderItem - Renders a row, `(item, index) => Node`, with `item()` and `index()` accessors.
+ * @returns {DocumentFragment} - The rows, between two comment markers.
+ *
+ * @example
+ * <ul>
+ *     {For({ each: () => State.get("todos"), key: todo => todo.id }, (todo, index) =>
+ *         <li class-if={() => (todo().done ? "done" : "")}>
+ *             {() => `${index() + 1}. ${todo().title}`}
+ *             <input type="checkbox" onChange={() => toggle(todo().id)} />
+ *         </li>
+ *     )}
+ * </ul>
+ */
+window.For = (props, ...children) => {
+	const { each, key = toRaw } = props;
+	const renderItem = children.flat()[0] || (props.children || []).flat()[0];
+	const start = document.createComment("For");
+	const end = document.createComment("/For");
+	const fragment = document.createDocumentFragment();
+	fragment.append(start, end);
+
+	let rows = new Map();
+	let order = [];
+
+	const update = () => {
+		const parent = end.parentNode;
+		if (!parent) return;
+
+		const value = typeof each === "function" ? each() : each;
+		const items = Array.isArray(value) ? value : [...(value || [])];
+
+		const nextRows = new Map();
+		const nextOrder = [];
+		items.forEach((item, index) => {
+			let itemKey = key(item, index);
+			if (nextRows.has(itemKey)) {
+				console.warn("Duplicate key in For:", itemKey);
+				itemKey = `${String(itemKey)}:${index}`;
+			}
+			let row = rows.get(itemKey);
+			if (row) {
+				row.update(item, index);
+			} else {
+				row = createListRow(item, index, renderItem);
+			}
+			nextRows.set(itemKey, row);
+			nextOrder.push(itemKey);
+		});
+
+		rows.forEach((row, rowKey) => {
+			if (nextRows.has(rowKey)) return;
+			row.nodes.forEach(node => {
+				node.remove();
+				disposeTree(node);
+			});
+		});
+
+		// Rows on the longest run that kept its relative order stay; the others move
+		const previousIndex = new Map(order.map((rowKey, index) => [rowKey, index]));
+		const stable = longestIncreasingSubsequence(
+			nextOrder.map(rowKey => (previousIndex.has(rowKey) ? previousIndex.get(rowKey) : -1))
+		);
+		for (let i = nextOrder.length - 1; i >= 0; i--) {
+			if (stable.has(i)) continue;
+			const anchor = i + 1 < nextOrder.length ? nextRows.get(nextOrder[i + 1]).nodes[0] : end;
+			nextRows.get(nextOrder[i]).nodes.forEach(node => parent.insertBefore(node, anchor));
+		}
+
+		rows = nextRows;
+		order = nextOrder;
+	};
+
+	addCleanup(end, trackEffect(update));
+	return fragment;
+};
+
+/**
+ * Creates a `For` row: its nodes, and a minimal store holding its item and index so
+ * reads through the `item()`/`index()` accessors are tracked like state reads.
+ * @param {*} item - The item.
+ * @param {number} index - Its position.
+ * @param {Function} renderItem - Renders the row.
+ * @returns {Object} - The row, with `nodes` and `update(item, index)`.
+ */
+function createListRow(item, index, renderItem) {
+	const values = { item, index };
+	const subscribers = { item: [], index: [] };
+	let version = getReactiveVersion(item);
+
+	const row = {
+		get(key) {
+			trackRead(row, key);
+			return values[key];
+		},
+		subscribe(key, callback, options = {}) {
+			subscribers[key].push(callback);
+			if (options.immediate !== false) callback(values[key], undefined, key);
+			return () => {
+				subscribers[key] = subscribers[key].filter(cb => cb !== callback);
+			};
+		},
+		update(nextItem, nextIndex) {
+			// The same object is changed if something was written inside it (e.g. `todo.done = true`)
+			const nextVersion = getReactiveVersion(nextItem);
+			const changed = {
+				item: toRaw(nextItem) !== toRaw(values.item) || nextVersion !== version,
+				index: nextIndex !== values.index
+			};
+			const previous = { ...values };
+			values.item = nextItem;
+			values.index = nextIndex;
+			version = nextVersion;
+			Object.keys(changed).forEach(key => {
+				if (changed[key]) {
+					[...subscribers[key]].forEach(callback => callback(values[key], previous[key], key));
+				}
+			});
+		}
+	};
+
+	const result = renderItem(() => row.get("item"), () => row.get("index"));
+	row.nodes = result instanceof DocumentFragment
+		? [...result.childNodes]
+		: [result instanceof Node ? result : document.createTextNode(String(result))];
+	if (!row.nodes.length) row.nodes = [document.createComment("empty")];
+	return row;
+}
+
+/**
+ * Finds a longest strictly increasing subsequence, ignoring -1 entries.
+ * @param {number[]} values - The values.
+ * @returns {Set<number>} - The indexes of the subsequence's values.
+ */
+function longestIncreasingSubsequence(values) {
+	const tails = [];
+	const previous = [];
+	values.forEach((value, index) => {
+		if (value === -1) return;
+		let low = 0;
+		let high = tails.length;
+		while (low < high) {
+			const middle = (low + high) >> 1;
+			if (values[tails[middle]] < value) low = middle + 1;
+			else high = middle;
+		}
+		previous[index] = low > 0 ? tails[low - 1] : -1;
+		tails[low] = index;
+	});
+
+	const result = new Set();
+	let index = tails.length ? tails[tails.length - 1] : -1;
+	while (index !== -1) {
+		result.add(index);
+		index = previous[index];
+	}
+	return result;
+}
+
 //------------------------------------------------ END USE STATE
 
 function updateVisibility() {
@@ -550,7 +1927,7 @@ function updateVisibility() {
 		if (typeof element.showIf === "function") {
 			shouldShow = element.showIf();
 		} else if (condition) {
-			shouldShow = evaluateCondition(condition.trim());
+			shouldShow = evaluateCondition(condition.trim(), getElementStore(element));
 		}
 		element.style.display = shouldShow ? "" : "none";
 	});
@@ -561,12 +1938,13 @@ function updateVisibility() {
 /**
  * Evaluates complex conditional expressions for `show-if` and `class-if` attributes.
  * @param {string} condition - The conditional expression to evaluate.
+ * @param {StateSingleton} [state] - The store keys are read from. Route conditions always use `State`.
  * @returns {boolean} - Whether the condition evaluates to true or false.
  */
-function evaluateCondition(condition) {
+function evaluateCondition(condition, state = State) {
 	return condition.split(/\s*\|\|\s*/).some(orPart =>
 		orPart.split(/\s*&&\s*/).every(andPart =>
-			evaluateSingleCondition(andPart.trim())
+			evaluateSingleCondition(andPart.trim(), state)
 		)
 	);
 }
@@ -574,44 +1952,44 @@ function evaluateCondition(condition) {
 /**
  * Evaluates a single condition expression.
  * @param {string} condition - The condition to evaluate.
+ * @param {StateSingleton} [state] - The store keys are read from.
  * @returns {boolean} - The result of the condition.
  */
-function evaluateSingleCondition(condition) {
+function evaluateSingleCondition(condition, state = State) {
 	let match = false;
 	let stateKey, operator, expectedValue;
 
 	if (condition.startsWith("!")) {
-		return !State.get(condition.substring(1).trim());
+		return !getConditionValue(condition.substring(1).trim(), state);
 	}
 
 	if (condition.startsWith("route~=")) {
-		return State.get("route").startsWith(condition.replace("route~=", "").trim());
+		const expectedRoute = condition.replace("route~=", "").trim();
+		// Patterns match by leading segments, plain paths by string prefix
+		if (isRoutePattern(expectedRoute)) {
+			return matchRoute(expectedRoute.replace(/\/$/, "") + "/*", parseRoute(State.get("route")).path) !== null;
+		}
+		return (State.get("route") || "").startsWith(expectedRoute);
 	}
 	if (condition.startsWith("route==")) {
-		const expectedRoute = condition.replace("route==", "").trim();
-		const currentRoute = State.get("route");
-		// Match exact route or route with any hash
-		return currentRoute === expectedRoute || currentRoute.startsWith(expectedRoute + "#");
+		// Match route (or pattern like /users/:id) with any query string or hash
+		return routeMatches(condition.replace("route==", "").trim(), State.get("route"));
 	}
 	if (condition.startsWith("route!=")) {
-		const expectedRoute = condition.replace("route!=", "").trim();
-		const currentRoute = State.get("route");
-		// Not match if exact route or route with any hash
-		return currentRoute !== expectedRoute && !currentRoute.startsWith(expectedRoute + "#");
+		return !routeMatches(condition.replace("route!=", "").trim(), State.get("route"));
 	}
 	if (condition.startsWith("route#=")) {
-		const expectedRoute = condition.replace("route#=", "").trim();
-		const currentRoute = State.get("route");
+		const currentRoute = State.get("route") || "";
 		// Match route that has a hash fragment
-		return currentRoute.includes("#") && currentRoute.startsWith(expectedRoute + "#");
+		return currentRoute.includes("#") && routeMatches(condition.replace("route#=", "").trim(), currentRoute);
 	}
 
 	if (!/[=<>!~]|matches/.test(condition)) {
-		return !!State.get(condition);
+		return !!getConditionValue(condition, state);
 	}
 
 	[stateKey, operator, expectedValue] = parseCondition(condition);
-	const stateValue = State.get(stateKey.trim());
+	const stateValue = getConditionValue(stateKey.trim(), state);
 
 	if (operator === "matches") {
 		try {
@@ -650,106 +2028,527 @@ function evaluateSingleCondition(condition) {
 }
 
 function parseCondition(condition) {
-	const match = condition.match(/([a-zA-Z0-9_]+)\s*(==|!=|~=|>=|<=|>|<|matches)\s*(\/.*\/|.+)/);
+	const match = condition.match(/([a-zA-Z0-9_.]+)\s*(==|!=|~=|>=|<=|>|<|matches)\s*(\/.*\/|.+)/);
 	return match ? [match[1], match[2], match[3]] : [condition, '', ''];
 }
 
 /**
- * Creates and returns a DOM element or component using JSX-like syntax.
- * @param {string|Function} tag - The tag name or component function.
- * @param {Object} props - The properties to set on the element.
- * @param {...any} children - The child elements or components.
- * @returns {Node} - The generated DOM node.
+ * Reads the state value a condition refers to.
+ * `route.params.<name>` and `route.query.<name>` read the current route's
+ * parameters and query string.
+ * @param {string} key - The state key.
+ * @param {StateSingleton} [state] - The store to read from.
+ * @returns {*} - The value.
  */
-window.h = (tag, props = {}, ...children) => {
+function getConditionValue(key, state = State) {
+	const routeMatch = key.match(/^route\.(params|query)\.(.+)$/);
+	if (routeMatch) {
+		const source = State.get(routeMatch[1] === "params" ? "routeParams" : "routeQuery") || {};
+		return source[routeMatch[2]];
+	}
+	return state.get(key);
+}
 
-	if (typeof tag === "function") {
-    const node = tag({
-      ...props,
-      children,
-      route: State.get("route")
-    });
+/**
+ * Runs a function and records which state keys it reads through `get`, of `State`,
+ * any store or a `For` row. Reads inside a nested call only count for that call, so
+ * effects nested in a function child (e.g. in the elements it renders) don't make it re-run.
+ * @param {Function} fn - The function to run.
+ * @returns {{value: *, keys: Set<string>, reads: Map<Object, Set<string>>}} - The function's
+ *          return value, the `State` keys it read, and the keys it read by store.
+ */
+function collectStateKeys(fn) {
+	const outer = activeReads;
+	const reads = new Map();
+	activeReads = reads;
+	try {
+		const value = fn();
+		return { value, keys: reads.get(State) || new Set(), reads };
+	} finally {
+		activeReads = outer;
+	}
+}
 
-    // If a component returns a DOM node, mirror native-tag prop behavior on it
-    if (node instanceof Node && props) {
-      Object.entries(props || {}).forEach(([key, val]) => {
-        if (key.startsWith("on") && typeof val === "function") {
-          if (key === "onShow") {
-            const observer = new IntersectionObserver((entries) => {
-              entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                  val(node);
-                }
-              });
-            }, { threshold: 0.1 });
+/**
+ * Runs a function now and again whenever state it read changes. The keys are
+ * collected on every run, so keys read conditionally or through helpers are followed.
+ * Used by function children and function-valued `show-if`/`class-if` props.
+ * @param {Function} effect - The function, e.g. one updating an element.
+ * @returns {Function} - Call to stop re-running it.
+ */
+function trackEffect(effect) {
+	let subscriptions = new Map();
+	let stopped = false;
 
-            requestAnimationFrame(() => {
-              if (document.contains(node)) {
-                observer.observe(node);
-              }
-            });
+	const run = () => {
+		if (stopped) return;
+		const { reads } = collectStateKeys(() => {
+			try {
+				effect();
+			} catch (e) {
+				console.error("Error in reactive function:", e);
+			}
+		});
 
-            node.onShow = val;
-          } else {
-            node.addEventListener(key.slice(2).toLowerCase(), val);
-          }
-        } else if (key === "class-if" && typeof val === "function") {
-          const updateVisibility = () => {
-            node.style.display = val() ? "" : "none";
-          };
+		// Keep subscriptions to keys still read, drop the others, add new ones
+		const next = new Map();
+		reads.forEach((keys, source) => {
+			const current = subscriptions.get(source) || new Map();
+			const kept = new Map();
+			keys.forEach(key => {
+				kept.set(key, current.get(key) || source.subscribe(key, run, { immediate: false }));
+				current.delete(key);
+			});
+			next.set(source, kept);
+		});
+		subscriptions.forEach((keys, source) => {
+			const kept = next.get(source);
+			keys.forEach((unsubscribe, key) => {
+				if (!kept || !kept.has(key)) unsubscribe();
+			});
+		});
+		subscriptions = next;
+	};
+
+	run();
+	return () => {
+		stopped = true;
+		subscriptions.forEach(keys => keys.forEach(unsubscribe => unsubscribe()));
+		subscriptions = new Map();
+	};
+}
 
-          updateVisibility();
+// Cleanups by node, run when the node leaves the document or is replaced by a re-render
+const nodeCleanups = new WeakMap();
+// onMount callbacks by node, run once the node is in the document
+const nodeMounts = new WeakMap();
+// onMount/onCleanup callbacks of the component being rendered
+let componentHooks = null;
 
-          const boundKey = val.toString().match(/State\.get\(["'](.+?)["']\)/);
-          if (boundKey && boundKey[1]) {
-            State.subscribe(boundKey[1], updateVisibility);
-          }
+/**
+ * Registers a function to run when a node is disposed.
+ * @param {Node} node - The node.
+ * @param {Function} cleanup - The function, e.g. an unsubscribe.
+ */
+function addCleanup(node, cleanup) {
+	if (!nodeCleanups.has(node)) {
+		nodeCleanups.set(node, []);
+	}
+	nodeCleanups.get(node).push(cleanup);
+}
 
-          const updateClass = () => {
-            const className = val();
-            node.className = className || "";
-          };
-          updateClass();
-          State.set({ [`__update_${node.tagName?.toLowerCase() || "component"}`]: updateClass });
-          window.addEventListener("popstate", updateClass);
-        } else if (key === "show-if" && typeof val === "function") {
-          const updateVisibility = () => {
-            node.style.display = val() ? "" : "none";
-          };
+/**
+ * Runs the cleanups registered by a node and its descendants: subscriptions,
+ * observers and `onCleanup` callbacks. A disposed subtree no longer updates, even
+ * if it's put back in the document later. Elements with a `keep-alive` attribute
+ * and their descendants are skipped unless `force` is set (see `dispose`).
+ * @param {Node} root - The node.
+ * @param {boolean} [force=false] - Dispose `keep-alive` elements too.
+ */
+function disposeTree(root, force = false) {
+	const isKeptAlive = (node) => !force && node.nodeType === Node.ELEMENT_NODE && node.hasAttribute("keep-alive");
+	if (isKeptAlive(root)) return;
+	const walker = document.createTreeWalker(root, NodeFilter.SHOW_ALL, {
+		acceptNode: (node) => (isKeptAlive(node) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+	});
+	for (let node = root; node; node = walker.nextNode()) {
+		const cleanups = nodeCleanups.get(node);
+		nodeMounts.delete(node);
+		if (!cleanups) continue;
+		nodeCleanups.delete(node);
+		cleanups.forEach(cleanup => {
+			try {
+				cleanup();
+			} catch (e) {
+				console.error("Error in cleanup:", e);
+			}
+		});
+	}
+}
 
-          updateVisibility();
+/**
+ * Disposes a node and its descendants now, `keep-alive` elements included: their
+ * bindings and subscriptions stop and `onCleanup` callbacks run.
+ * Nodes are disposed automatically when they leave the document or a re-render
+ * replaces them, which a node that's detached and re-attached later (a cached page
+ * or tab panel) wouldn't survive. Give such a node a `keep-alive` attribute, and
+ * dispose it with this function once it's no longer needed.
+ * @param {Node} node - The node.
+ *
+ * @example
+ * const settings = <section keep-alive>…</section>;
+ * // Shown and hidden as the tab changes, and kept up to date while hidden
+ * <div>{() => State.get("tab") === "settings" ? settings : <Overview />}</div>
+ * // Once the tabs are gone
+ * Pragmatic.dispose(settings);
+ */
+function dispose(node) {
+	disposeTree(node, true);
+}
 
-          const boundKey = val.toString().match(/State\.get\(["'](.+?)["']\)/);
-          if (boundKey && boundKey[1]) {
-            State.subscribe(boundKey[1], updateVisibility);
-          }
-        } else if (key === "valid-if" && typeof val === "function") {
-          node.validIf = val;
-        } else {
-          // For attributes like show-if/class-if that are strings, just set them;
-          // global updateVisibility/updateClasses will handle them.
-          node.setAttribute?.(key, val);
-        }
-      });
+/**
+ * Runs the `onMount` callbacks of a node and its descendants that are now in the document.
+ * @param {Node} root - The node.
+ */
+function runMounts(root) {
+	const walker = document.createTreeWalker(root, NodeFilter.SHOW_ALL);
+	for (let node = root; node; node = walker.nextNode()) {
+		const mounts = nodeMounts.get(node);
+		if (!mounts) continue;
+		nodeMounts.delete(node);
+		mounts.forEach(mount => {
+			try {
+				const cleanup = mount(node);
+				if (typeof cleanup === "function") addCleanup(node, cleanup);
+			} catch (e) {
+				console.error("Error in onMount:", e);
+			}
+		});
+	}
+}
 
-      // Handle internal route navigation for components that return anchor elements
-      if (node.tagName === "A") {
-        const href = node.getAttribute("href");
-        if (href && href.startsWith("/") && !href.startsWith("//")) {
-          // Internal route - intercept navigation
-          node.addEventListener("click", (e) => {
-            // Only intercept if no onClick handler or onClick didn't prevent default
-            if (!props.onClick || props.onClick(e) !== false) {
-              // Don't intercept if there's a hash fragment - let browser handle it naturally
-              if (href.includes("#")) {
-                // Let the browser handle hash navigation naturally
-                return;
-              }
-              e.preventDefault();
-              navigate(href);
-            }
-          });
+/**
+ * Attaches the hooks a component registered to the node it returned (its first
+ * node for fragments).
+ * @param {Node} node - The component's node.
+ * @param {{mounts: Function[], cleanups: Function[]}} hooks - The hooks.
+ */
+function attachComponentHooks(node, hooks) {
+	const target = node instanceof DocumentFragment ? node.firstChild : node;
+	if (!target) return;
+	hooks.cleanups.forEach(cleanup => addCleanup(target, cleanup));
+	if (hooks.mounts.length) {
+		nodeMounts.set(target, [...(nodeMounts.get(target) || []), ...hooks.mounts]);
+		if (target.isConnected) runMounts(target);
+	}
+}
+
+/**
+ * Runs a function once the component being rendered is in the document. It receives
+ * the component's node, and may return a cleanup function.
+ * @param {Function} fn - The function.
+ *
+ * @example
+ * const Clock = () => {
+ *     onMount(() => {
+ *         const timer = setInterval(() => State.set({ now: Date.now() }), 1000);
+ *         return () => clearInterval(timer);
+ *     });
+ *     return <time data-bind="now"></time>;
+ * };
+ */
+function onMount(fn) {
+	if (!componentHooks) {
+		console.warn("onMount must be called while a component renders");
+		return;
+	}
+	componentHooks.mounts.push(fn);
+}
+
+/**
+ * Runs a function when the component being rendered leaves the document or is
+ * replaced by a re-render.
+ * @param {Function} fn - The function.
+ */
+function onCleanup(fn) {
+	if (!componentHooks) {
+		console.warn("onCleanup must be called while a component renders");
+		return;
+	}
+	componentHooks.cleanups.push(fn);
+}
+
+// Disposes nodes leaving the document and mounts nodes entering it. Moved nodes are
+// removed and added in the same batch, and are still connected, so they're left alone;
+// nodes put back later need `keep-alive` (see `dispose`).
+new MutationObserver((records) => {
+	records.forEach(record => {
+		record.removedNodes.forEach(node => {
+			if (!node.isConnected) disposeTree(node);
+		});
+		record.addedNodes.forEach(node => {
+			if (node.isConnected) runMounts(node);
+		});
+	});
+}).observe(document, { childList: true, subtree: true });
+
+// Attributes that are either present or absent, whatever their value
+const booleanAttributes = new Set([
+	"disabled", "readonly", "required", "multiple", "hidden", "autofocus", "open", "inert",
+	"novalidate", "formnovalidate", "allowfullscreen", "autoplay", "controls", "loop",
+	"playsinline", "default", "reversed", "async", "defer", "nomodule", "ismap", "itemscope",
+	"keep-alive"
+]);
+// Props set on the element itself: their attributes only hold the initial value
+const propertyProps = new Set(["value", "checked", "selected", "indeterminate", "muted"]);
+// Props that take objects; other objects aren't turned into "[object Object]" attributes
+const objectProps = new Set(["style", "class", "className", "dataset", "dangerouslySetInnerHTML"]);
+// Function props bound on the element a component returns (with `aria-*` and `data-*`).
+// Other function props, like `remove` or `renderItem`, are the component's callbacks.
+const componentBindableProps = new Set([
+	"id", "class", "className", "style", "title", "role", "tabindex", "lang", "dir",
+	"href", "src", "alt", "name", "placeholder", "dataset", "innerHTML",
+	...booleanAttributes, ...propertyProps
+]);
+
+/**
+ * Turns a class value into a class string.
+ * @param {string|Array|Object} value - A string, an array of class values, or an object
+ *        whose keys are class names, applied when their values are truthy.
+ * @returns {string} - The class string.
+ */
+function toClassName(value) {
+	if (Array.isArray(value)) {
+		return value.map(toClassName).filter(Boolean).join(" ");
+	}
+	if (value && typeof value === "object") {
+		return Object.keys(value).filter(name => value[name]).join(" ");
+	}
+	return value === null || value === undefined || value === false ? "" : String(value);
+}
+
+/**
+ * Sets an element's inline style from a string or an object like `{ color: "red", "--gap": "4px" }`.
+ * Properties of the previous object that are missing from the new one are removed; others,
+ * e.g. the display set by show-if, are left alone.
+ * @param {HTMLElement} el - The element.
+ * @param {string|Object} value - The style.
+ * @param {string|Object} [previous] - The style set last time.
+ */
+function setStyle(el, value, previous) {
+	if (!value || typeof value !== "object") {
+		el.style.cssText = value === null || value === undefined || value === false ? "" : String(value);
+		return;
+	}
+	const setProperty = (name, next) => {
+		const property = name.startsWith("--") ? name : name.replace(/[A-Z]/g, c => "-" + c.toLowerCase());
+		if (next === null || next === undefined || next === false) {
+			el.style.removeProperty(property);
+		} else {
+			el.style.setProperty(property, String(next));
+		}
+	};
+	if (typeof previous === "string") {
+		el.style.cssText = "";
+	} else if (previous && typeof previous === "object") {
+		Object.keys(previous).forEach(name => {
+			if (!(name in value)) setProperty(name, null);
+		});
+	}
+	Object.entries(value).forEach(([name, next]) => setProperty(name, next));
+}
+
+// Props already warned about for getting an object, so reactive updates don't repeat it
+const warnedObjectProps = new Set();
+
+/**
+ * Sets a prop on an element, as a property or an attribute:
+ * - `class`/`className` accept strings, arrays and objects (see toClassName)
+ * - `style` accepts strings and objects (see setStyle)
+ * - `value`, `checked`, `selected`, `indeterminate` and `muted` are set as properties,
+ *   so they keep working after the user edits the field
+ * - `dataset` takes an object like `{ userId: 7 }`; null/undefined entries are removed
+ * - `innerHTML` takes a string and `dangerouslySetInnerHTML` an object like `{ __html }`.
+ *   Both insert raw HTML, so only pass markup you trust
+ * - boolean attributes like `disabled` or `hidden` are added when truthy and removed otherwise
+ * - an anchor's `href` may be an app-relative route like "/about" (see setLinkHref)
+ * - other attributes are removed for null/undefined and set as strings otherwise,
+ *   so `aria-expanded` can be `false`. Objects are ignored, with a warning once per prop name
+ * @param {Element} el - The element.
+ * @param {string} key - The prop name.
+ * @param {*} value - The value.
+ * @param {*} [previous] - The value set last time, if any.
+ */
+function setProp(el, key, value, previous) {
+	if (key === "class" || key === "className") {
+		const className = toClassName(value);
+		if (className) {
+			el.setAttribute("class", className);
+		} else {
+			el.removeAttribute("class");
+		}
+	} else if (key === "style") {
+		setStyle(el, value, previous);
+	} else if (key === "dataset") {
+		const next = value || {};
+		Object.keys(previous || {}).forEach(name => {
+			if (!(name in next)) delete el.dataset[name];
+		});
+		Object.entries(next).forEach(([name, item]) => {
+			if (item === null || item === undefined) {
+				delete el.dataset[name];
+			} else {
+				el.dataset[name] = item;
+			}
+		});
+	} else if (key === "innerHTML" || key === "dangerouslySetInnerHTML") {
+		const html = key === "innerHTML" ? value : value && value.__html;
+		el.innerHTML = html === null || html === undefined ? "" : html;
+	} else if (propertyProps.has(key) && key in el) {
+		const next = key === "value" ? (value === null || value === undefined ? "" : String(value)) : !!value;
+		// Assigning an unchanged value would move the caret of a focused field
+		if (el[key] !== next) el[key] = next;
+	} else if (booleanAttributes.has(key.toLowerCase())) {
+		el.toggleAttribute(key, !!value);
+	} else if (key === "href" && el.tagName === "A") {
+		setLinkHref(el, value);
+	} else if (value === null || value === undefined) {
+		el.removeAttribute(key);
+	} else if (typeof value === "object") {
+		if (warnedObjectProps.has(key)) return;
+		warnedObjectProps.add(key);
+		console.warn(`h(): ignoring the object passed to "${key}"; only style, class, dataset and dangerouslySetInnerHTML take objects`);
+	} else {
+		el.setAttribute(key, value);
+	}
+}
+
+/**
+ * Hands an element to a ref: a callback is called with it, an object gets it as `current`.
+ * @param {Function|{current: *}} ref - The ref.
+ * @param {Element|null} el - The element, or null once it's disposed.
+ */
+function setRef(ref, el) {
+	if (typeof ref === "function") {
+		ref(el);
+	} else if (ref && typeof ref === "object") {
+		ref.current = el;
+	}
+}
+
+/**
+ * Gives a ref its element, and null again once the element is disposed.
+ * @param {Element} el - The element.
+ * @param {Function|{current: *}} ref - The ref.
+ */
+function attachRef(el, ref) {
+	setRef(ref, el);
+	addCleanup(el, () => setRef(ref, null));
+}
+
+/**
+ * Binds a prop to a function: the prop is set to what the function returns, and set
+ * again whenever state it reads changes, until the element is disposed.
+ * @param {Element} el - The element.
+ * @param {string} key - The prop name.
+ * @param {Function} fn - The function, e.g. `() => !State.get("canSave")` for `disabled`.
+ */
+function bindProp(el, key, fn) {
+	let previous;
+	addCleanup(el, trackEffect(() => {
+		const value = fn();
+		setProp(el, key, value, previous);
+		previous = value;
+	}));
+}
+
+/**
+ * Creates and returns a DOM element or component using JSX-like syntax.
+ * @param {string|Function} tag - The tag name or component function.
+ * @param {Object} props - The properties to set on the element (see setProp). Function values
+ *        of props other than events, show-if, class-if, valid-if and ref are reactive (see bindProp).
+ *        `ref` is a callback or an object like `{ current: null }` that gets the element.
+ * @param {...any} children - The child elements or components.
+ * @returns {Node} - The generated DOM node.
+ *
+ * @example
+ * <button disabled={() => !State.get("canSave")} class={() => ({ busy: State.get("saving") })}>
+ *     Save
+ * </button>
+ *
+ * @example
+ * const input = { current: null };
+ * <input ref={input} style={{ width: "100%" }} dataset={{ field: "email" }} />
+ * <div dangerouslySetInnerHTML={{ __html: trustedMarkup }}></div>
+ */
+window.h = (tag, props = {}, ...children) => {
+
+	if (typeof tag === "function") {
+    const outerHooks = componentHooks;
+    const hooks = { mounts: [], cleanups: [] };
+    componentHooks = hooks;
+    let node;
+    try {
+      // Not dependencies of an enclosing function child: the router re-renders on route changes
+      const { value: route } = collectStateKeys(() => State.get("route"));
+      node = tag({
+        ...props,
+        children,
+        route,
+        location: collectStateKeys(() => createLocationProp(route)).value
+      });
+    } finally {
+      componentHooks = outerHooks;
+    }
+    if (node instanceof Node) {
+      attachComponentHooks(node, hooks);
+    }
+
+    // If a component returns a DOM node, mirror native-tag prop behavior on it
+    if (node instanceof Node && props) {
+      // A link the component built with h() already has its resolved href and click handling
+      const handledLink = interceptedLinks.has(node);
+      Object.entries(props || {}).forEach(([key, val]) => {
+        if (handledLink && (key === "href" || key.toLowerCase() === "onclick")) {
+          return;
+        }
+        // Called by interceptInternalLink below
+        if (key === "onClick" && node.tagName === "A") {
+          return;
         }
+        if (key.startsWith("on") && typeof val === "function") {
+          if (key === "onShow") {
+            const observer = new IntersectionObserver((entries) => {
+              entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                  val(node);
+                }
+              });
+            }, { threshold: 0.1 });
+
+            requestAnimationFrame(() => {
+              if (document.contains(node)) {
+                observer.observe(node);
+              }
+            });
+            addCleanup(node, () => observer.disconnect());
+
+            node.onShow = val;
+          } else {
+            node.addEventListener(key.slice(2).toLowerCase(), val);
+          }
+        } else if (key === "class-if" && typeof val === "function") {
+          addCleanup(node, trackEffect(() => {
+            node.className = val() || "";
+          }));
+        } else if (key === "show-if" && typeof val === "function") {
+          addCleanup(node, trackEffect(() => {
+            node.style.display = val() ? "" : "none";
+          }));
+        } else if (key === "valid-if" && typeof val === "function") {
+          node.validIf = val;
+        } else if (key === "store" && val instanceof StateSingleton) {
+          scopeStore(node, val);
+        } else if (key === "ref") {
+          if (node instanceof Element) attachRef(node, val);
+        } else if (typeof val === "function") {
+          // Only attribute and property bindings: callback props are the component's own
+          if (node instanceof Element && (componentBindableProps.has(key) || /^(aria|data)-/.test(key))) {
+            bindProp(node, key, val);
+          }
+        } else if (node instanceof Element) {
+          // For attributes like show-if/class-if that are strings, just set them;
+          // global updateVisibility/updateClasses will handle them. Other objects than
+          // style, class and the like are data for the component itself, e.g. a user.
+          if (!val || typeof val !== "object" || objectProps.has(key)) {
+            setProp(node, key, val);
+          }
+        }
+      });
+
+      // Handle internal route navigation for components that return anchor elements
+      if (node.tagName === "A") {
+        interceptInternalLink(node, props);
       }
 
       // Align with native input/textarea/select handling for data-bind invalid state clearing
@@ -757,9 +2556,10 @@ window.h = (tag, props = {}, ...children) => {
         const bindKey = props["data-bind"];
         if (bindKey) {
           const clearInvalidState = () => {
-            if (State.get(`${bindKey}_invalid`)) {
-              State.set({ [`${bindKey}_invalid`]: undefined });
-              State.set({ [`${bindKey}_valid`]: true });
+            const store = getElementStore(node);
+            if (store.get(`${bindKey}_invalid`)) {
+              store.set({ [`${bindKey}_invalid`]: undefined });
+              store.set({ [`${bindKey}_valid`]: true });
               node.classList.remove('invalid');
             }
           };
@@ -787,302 +2587,1269 @@ window.h = (tag, props = {}, ...children) => {
 		return document.createComment("Invalid component");
 	}
 
-	let el = document.createElement(tag);
+	let el = document.createElement(tag);
+
+	// Add SVG namespace support
+	if (tag === 'svg' || ['path', 'circle', 'rect', 'line', 'polygon', 'g', 'defs', 'use', 'text', 'tspan', 'title', 'desc', 'metadata', 'symbol', 'marker', 'pattern', 'filter', 'feGaussianBlur', 'feOffset', 'feMerge', 'feMergeNode', 'feComposite', 'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feFuncR', 'feFuncG', 'feFuncB', 'feFuncA', 'feConvolveMatrix', 'feDiffuseLighting', 'feSpecularLighting', 'fePointLight', 'feSpotLight', 'feDistantLight', 'feMorphology', 'feTile', 'feTurbulence', 'feDisplacementMap', 'feFlood', 'feImage', 'feDropShadow'].includes(tag)) {
+		const svgEl = document.createElementNS('http://www.w3.org/2000/svg', tag);
+		// Copy all properties and methods from the HTML element to the SVG element
+		Object.getOwnPropertyNames(el).forEach(prop => {
+			try {
+				if (prop !== 'namespaceURI') {
+					svgEl[prop] = el[prop];
+				}
+			} catch (e) {
+				// Skip read-only properties
+			}
+		});
+		el = svgEl;
+	}
+
+	const deferred = [];
+	let ref = null;
+	Object.entries(props || {}).forEach(([key, val]) => {
+		if (key.startsWith("on") && typeof val === "function") {
+			if (key === "onShow") {
+				const observer = new IntersectionObserver((entries) => {
+					entries.forEach(entry => {
+						if (entry.isIntersecting) {
+							val(el);
+						}
+					});
+				}, {
+					threshold: 0.1
+				});
+
+				requestAnimationFrame(() => {
+					if (document.contains(el)) {
+						observer.observe(el);
+					}
+				});
+				addCleanup(el, () => observer.disconnect());
+
+				el.onShow = val;
+			} else if (key === "onClick" && el.tagName === "A") {
+				// Called by interceptInternalLink, which also handles a false return
+			} else {
+				el.addEventListener(key.slice(2).toLowerCase(), val);
+			}
+		} else if (key === "class-if" && typeof val === "function") {
+			// Re-applied whenever state the function reads changes, until el is disposed
+			addCleanup(el, trackEffect(() => {
+				el.className = val() || "";
+			}));
+		} else if (key === "show-if" && typeof val === "function") {
+			addCleanup(el, trackEffect(() => {
+				el.style.display = val() ? "" : "none";
+			}));
+		} else if (key === "valid-if" && typeof val === "function") {
+			el.validIf = val;
+		} else if (key === "store" && val instanceof StateSingleton) {
+			scopeStore(el, val);
+		} else if (key === "ref") {
+			ref = val;
+		} else if (typeof val === "function" || propertyProps.has(key)) {
+			// Set once the children are in, so a <select> has the options its value picks
+			deferred.push([key, val]);
+		} else {
+			setProp(el, key, val);
+		}
+	});
+
+
+	// Handle internal route navigation for links
+	if (el.tagName === "A") {
+		interceptInternalLink(el, props);
+	}
+
+	if (el.tagName === "INPUT" || el.tagName === "TEXTAREA" || el.tagName === "SELECT") {
+		const bindKey = props["data-bind"];
+		if (bindKey) {
+			const clearInvalidState = () => {
+				const store = getElementStore(el);
+				if (store.get(`${bindKey}_invalid`)) {
+					store.set({
+						[`${bindKey}_invalid`]: undefined
+					});
+					store.set({
+						[`${bindKey}_valid`]: true
+					});
+					el.classList.remove('invalid');
+				}
+			};
+			el.addEventListener("input", clearInvalidState);
+			el.addEventListener("change", clearInvalidState);
+			el.addEventListener("focus", clearInvalidState);
+		}
+	}
+
+	children.flat().forEach((child) => {
+		if (typeof child === "function") {
+			const placeholder = document.createTextNode("");
+			el.appendChild(placeholder);
+
+			// The nodes this function rendered last; siblings after them are left alone
+			let rendered = [];
+			const render = () => {
+				const result = child();
+
+				if ((typeof result === "string" || typeof result === "number") && rendered.length === 1 && rendered[0].nodeType === 3) {
+					rendered[0].textContent = String(result);
+					return;
+				}
+
+				let nodes;
+				if (Array.isArray(result)) {
+					nodes = result.map(item => (item instanceof Node ? item : document.createTextNode(String(item))));
+				} else if (result instanceof DocumentFragment) {
+					nodes = [...result.childNodes];
+				} else if (result instanceof Node) {
+					nodes = [result];
+				} else if (result === null || result === undefined) {
+					// Handle null/undefined results
+					nodes = [document.createComment("No content")];
+				} else {
+					nodes = [document.createTextNode(String(result))];
+				}
+
+				rendered.forEach(node => {
+					node.remove();
+					if (!nodes.includes(node)) disposeTree(node);
+				});
+				placeholder.after(...nodes);
+				rendered = nodes;
+			};
+
+			// Re-render whenever state the function reads changes, in State or any store
+			addCleanup(el, trackEffect(render));
+		} else if (Array.isArray(child)) {
+			child.forEach(item => {
+				if (item instanceof Node) {
+					el.appendChild(item);
+				} else {
+					el.appendChild(document.createTextNode(String(item)));
+				}
+			});
+		}	else if (typeof child === "string" || typeof child === "number") {
+			el.appendChild(document.createTextNode(child));
+		} else if (child instanceof Node) {
+			el.appendChild(child);
+		}
+	});
+
+	deferred.forEach(([key, val]) => {
+		if (typeof val === "function") {
+			bindProp(el, key, val);
+		} else {
+			setProp(el, key, val);
+		}
+	});
+
+	if (ref) attachRef(el, ref);
+
+	return el;
+};
+
+
+
+/**
+ * Route table. Keys are paths or patterns (`/users/:id`, `/files/*rest`), values are
+ * components or route objects like `{ component, children, onEnter, onLeave, loading, error, title, meta }`.
+ * `children` is a nested route table rendered by a `<RouterView>` inside `component`.
+ * A component may also be a lazy loader like `() => import("./pages/Reports.js")`.
+ * `title` and `meta` (e.g. `{ description, canonical, "og:title" }`) set the document head
+ * after navigating; values may be functions that read `State`.
+ *
+ * @example
+ * window.routes["/settings"] = {
+ *     component: SettingsLayout,
+ *     children: { "/": SettingsHome, "/profile": Profile }
+ * };
+ */
+window.routes = {
+	'/404': () => h("div", {}, "404 Page not found")
+};
+
+/**
+ * Splits a route into its path, parsed query string and hash fragment.
+ * @param {string} route - The route, e.g. "/users/7?tab=posts#latest".
+ * @returns {{path: string, query: Object, hash: string}} - The route parts.
+ */
+function parseRoute(route) {
+	const [withoutHash, ...hashParts] = (route || "/").split("#");
+	const [path, search = ""] = withoutHash.split("?");
+	return { path: path || "/", query: parseQuery(search), hash: hashParts.join("#") };
+}
+
+/**
+ * Parses a query string into an object. Repeated keys become arrays.
+ * @param {string} search - The query string, with or without the leading "?".
+ * @returns {Object} - The query parameters.
+ */
+function parseQuery(search) {
+	const query = {};
+	new URLSearchParams(search).forEach((value, key) => {
+		query[key] = key in query ? [].concat(query[key], value) : value;
+	});
+	return query;
+}
+
+/**
+ * Whether a route path contains `:param` or `*wildcard` segments.
+ * @param {string} path - The route path.
+ * @returns {boolean}
+ */
+function isRoutePattern(path) {
+	return /[:*]/.test(path);
+}
+
+/**
+ * Matches a path against a route pattern.
+ * `:name` matches a single segment, `*name` matches the rest of the path.
+ * @param {string} pattern - The route pattern, e.g. "/users/:id" or "/files/*rest".
+ * @param {string} path - The path to match, without query string or hash.
+ * @returns {Object|null} - The matched params, or null if the path doesn't match.
+ *
+ * @example
+ * matchRoute("/users/:id", "/users/7"); // { id: "7" }
+ */
+function matchRoute(pattern, path) {
+	const patternParts = pattern.split("/").filter(Boolean);
+	const pathParts = path.split("/").filter(Boolean);
+	const params = {};
+
+	for (let i = 0; i < patternParts.length; i++) {
+		const part = patternParts[i];
+		if (part.startsWith("*")) {
+			params[part.slice(1) || "wildcard"] = pathParts.slice(i).map(decodeSegment).join("/");
+			return params;
+		}
+		if (i >= pathParts.length) return null;
+		if (part.startsWith(":")) {
+			params[part.slice(1)] = decodeSegment(pathParts[i]);
+		} else if (part !== pathParts[i]) {
+			return null;
+		}
+	}
+
+	return patternParts.length === pathParts.length ? params : null;
+}
+
+function decodeSegment(segment) {
+	try {
+		return decodeURIComponent(segment);
+	} catch (e) {
+		return segment;
+	}
+}
+
+/**
+ * Whether a route matches an expected path or pattern, ignoring its query string.
+ * A hash in the expected route must match exactly; otherwise any hash is accepted.
+ * @param {string} expectedRoute - The expected path or pattern, e.g. "/users/:id".
+ * @param {string} route - The route to test.
+ * @returns {boolean}
+ */
+function routeMatches(expectedRoute, route) {
+	const [expectedPath, expectedHash] = expectedRoute.split("#");
+	const { path, hash } = parseRoute(route);
+	if (expectedHash !== undefined && expectedHash !== hash) return false;
+	return matchRoute(expectedPath, path) !== null;
+}
+
+// Function entries are wrapped once so each route keeps a stable record
+const routeRecords = new WeakMap();
+
+/**
+ * Normalizes a `window.routes` entry. Entries are either a component function
+ * or an object like `{ component, children, onEnter, onLeave }`.
+ * @param {Function|Object} entry - The route table entry.
+ * @returns {Object} - The route record.
+ */
+function normalizeRouteEntry(entry) {
+	if (typeof entry !== "function") return entry || {};
+	if (!routeRecords.has(entry)) {
+		routeRecords.set(entry, { component: entry });
+	}
+	return routeRecords.get(entry);
+}
+
+/**
+ * Joins a parent route path and a child path.
+ * @param {string} base - The parent path, e.g. "/settings".
+ * @param {string} path - The child path, e.g. "/profile" or "/".
+ * @returns {string} - The joined path, e.g. "/settings/profile".
+ */
+function joinPaths(base, path) {
+	return "/" + `${base}/${path}`.split("/").filter(Boolean).join("/");
+}
+
+/**
+ * Matches a path against a route table, descending into `children` of nested routes.
+ * Within each level exact paths win over patterns.
+ * @param {Object} routes - The route table.
+ * @param {string} path - The path to match.
+ * @param {string} [base] - The path of the parent route.
+ * @returns {{pattern: string, params: Object, matched: Array}|null} - The match, with one
+ *   `{ record, pattern, path }` entry per level from the outermost layout to the page.
+ */
+function matchRoutes(routes, path, base = "") {
+	const keys = Object.keys(routes || {});
+	const ordered = [...keys.filter(key => !isRoutePattern(key)), ...keys.filter(isRoutePattern)];
+	const segments = path.split("/").filter(Boolean);
+
+	for (const key of ordered) {
+		const record = normalizeRouteEntry(routes[key]);
+		const pattern = joinPaths(base, key);
+		// The concrete part of the path this route owns, e.g. "/teams/5" for "/teams/:id"
+		const ownPath = "/" + segments.slice(0, pattern.includes("*") ? segments.length : pattern.split("/").filter(Boolean).length).join("/");
+
+		if (record.children) {
+			const child = matchRoutes(record.children, path, pattern);
+			if (child) {
+				return { ...child, matched: [{ record, pattern, path: ownPath }, ...child.matched] };
+			}
+		}
+
+		const params = matchRoute(pattern, path);
+		if (params) {
+			return { pattern, params, matched: [{ record, pattern, path: ownPath }] };
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Looks up the route registered in `window.routes` for a route.
+ * Unknown paths fall back to the `/404` entry.
+ * @param {string} route - The route to resolve, e.g. "/users/7#posts".
+ * @returns {{pattern: string, record: Object, params: Object, matched: Array}} - The matched
+ *   route; `record` is the innermost route and `matched` lists every level, layouts first.
+ */
+function resolveRoute(route) {
+	const { path } = parseRoute(route);
+	const match = matchRoutes(window.routes, path);
+	if (match) {
+		return { ...match, record: match.matched[match.matched.length - 1].record };
+	}
+
+	const record = normalizeRouteEntry(window.routes["/404"]);
+	return { pattern: "/404", record, params: {}, matched: [{ record, pattern: "/404", path }] };
+}
+
+/**
+ * Builds the route-related state for a route: `route`, `routeParams` and `routeQuery`.
+ * Params and query equal to the current ones are left out, so a navigation passes
+ * each route key through middleware once, and only when it changes.
+ * @param {string} route - The route.
+ * @returns {Object} - State properties to set.
+ */
+function getRouteState(route) {
+	const routeState = {};
+	const params = resolveRoute(route).params;
+	const query = parseRoute(route).query;
+	// Params and query are set first so `route` subscribers see them
+	if (JSON.stringify(params) !== JSON.stringify(State.get("routeParams"))) routeState.routeParams = params;
+	if (JSON.stringify(query) !== JSON.stringify(State.get("routeQuery"))) routeState.routeQuery = query;
+	routeState.route = route;
+	return routeState;
+}
+
+/**
+ * Builds the `location` prop passed to components next to the `route` string:
+ * the current route's `path`, `params`, `query` and `hash`, e.g. `location.params.id`.
+ * @param {string} route - The current route.
+ * @returns {{path: string, params: Object, query: Object, hash: string}} - The location prop.
+ */
+function createLocationProp(route) {
+	const { path, hash } = parseRoute(route);
+	return {
+		path,
+		params: State.get("routeParams") || {},
+		query: State.get("routeQuery") || {},
+		hash
+	};
+}
+
+/**
+ * Configures the router.
+ * Routes, links and `route==` conditions stay app-relative ("/about") in every mode;
+ * only the URLs in the address bar change.
+ * @param {Object} options
+ * @param {string} [options.mode] - "history" (default) for real paths, or "hash" for "#/about"
+ *   URLs that work from `file://` and static hosts without rewrites.
+ * @param {string} [options.base] - Path the app is served from in history mode, e.g. "/tools/app".
+ * @param {number|Function} [options.scrollOffset] - Pixels to leave above `#anchor` targets,
+ *   e.g. the height of a fixed header, or a function returning it.
+ * @param {string} [options.activeClass] - Class `NavLink` adds when its route or a child route is active.
+ * @param {string} [options.exactActiveClass] - Class `NavLink` adds when its route is the current one.
+ * @param {Function} [options.loading] - Component shown while a lazy route loads.
+ * @param {Function} [options.error] - Component shown when a lazy route fails to load; receives `{ error }`.
+ *
+ * @example
+ * Pragmatic.configureRouter({ mode: "hash", loading: Spinner, error: LoadFailed });
+ */
+function configureRouter(options = {}) {
+	Object.assign(routerOptions, options);
+	routerOptions.base = "/" + String(routerOptions.base || "").split("/").filter(Boolean).join("/");
+	if (routerOptions.base === "/") routerOptions.base = "";
+
+	if ("mode" in options || "base" in options) {
+		State.withSource("navigate", () => State.set(getRouteState(readLocation())));
+	}
+}
+
+/**
+ * Reads the current route from the address bar, honouring the router's mode and base.
+ * @returns {string} - The app-relative route, e.g. "/users/7?tab=posts#latest".
+ */
+function readLocation() {
+	if (routerOptions.mode === "hash") {
+		const hash = window.location.hash.slice(1);
+		if (hash.startsWith("/")) return hash;
+		// A plain "#section" is an anchor on the current route. Before the first navigation
+		// there is none and the app is on its home route: the pathname is where the app
+		// is served from, not a route
+		return routerStarted ? State.get("route") : "/" + (hash ? "#" + hash : "");
+	}
+
+	const { base } = routerOptions;
+	let pathname = window.location.pathname;
+	if (base && (pathname === base || pathname.startsWith(base + "/"))) {
+		pathname = pathname.slice(base.length) || "/";
+	}
+	return pathname + window.location.search + window.location.hash;
+}
+
+/**
+ * Builds the URL for an app-relative route, honouring the router's mode and base.
+ * @param {string} route - The route, e.g. "/about".
+ * @returns {string} - The URL, e.g. "/tools/app/about" or "#/about".
+ */
+function toHref(route) {
+	if (routerOptions.mode === "hash") {
+		return "#" + route;
+	}
+	return routerOptions.base + route;
+}
+
+// Anchors already wired by interceptInternalLink
+const interceptedLinks = new WeakSet();
+// The app-relative route of each anchor whose href is one, e.g. "/about" for "#/about"
+const linkRoutes = new WeakMap();
+
+/**
+ * Sets an anchor's href. An app-relative route (e.g. "/about") is remembered for
+ * interceptInternalLink and written as the real URL for the router's mode and base,
+ * so opening the link in a new tab still works.
+ * @param {HTMLAnchorElement} el - The anchor.
+ * @param {string} href - The href; null/undefined removes it.
+ */
+function setLinkHref(el, href) {
+	if (typeof href === "string" && href.startsWith("/") && !href.startsWith("//")) {
+		linkRoutes.set(el, href);
+		el.setAttribute("href", toHref(href));
+		return;
+	}
+	linkRoutes.delete(el);
+	if (href === null || href === undefined) {
+		el.removeAttribute("href");
+	} else {
+		el.setAttribute("href", href);
+	}
+}
+
+/**
+ * Makes an anchor navigate through the router while its href is an app-relative route,
+ * and calls its `onClick`, which cancels the click by returning false.
+ * The route is looked up on each click, so a reactive href can change it.
+ * @param {HTMLAnchorElement} el - The anchor.
+ * @param {Object} props - The props the anchor was created with.
+ */
+function interceptInternalLink(el, props) {
+	if (interceptedLinks.has(el)) return;
+	interceptedLinks.add(el);
+
+	// An anchor a component built itself has its href set directly
+	if (!linkRoutes.has(el) && el.hasAttribute("href")) {
+		setLinkHref(el, el.getAttribute("href"));
+	}
+
+	el.addEventListener("click", (e) => {
+		// onClick returning false cancels the click, whether the link is internal or not
+		if (props.onClick && props.onClick(e) === false) {
+			e.preventDefault();
+			return;
+		}
+		const route = linkRoutes.get(el);
+		if (route) {
+			e.preventDefault();
+			navigate(route);
+		}
+	});
+}
+
+// Loaders known to return a module rather than a node, and their loaded components
+const lazyLoaders = new WeakSet();
+const lazyComponents = new Map();
+let pendingRouteLoads = 0;
+
+/**
+ * Marks a function as a lazy route loader, so the router can load it without
+ * rendering it first (e.g. to prefetch). Unmarked loaders are detected on first visit.
+ * @param {Function} loader - Returns a Promise of a module (or component), e.g. `() => import("./Reports.js")`.
+ * @returns {Function} - The loader, for use in `window.routes`.
+ *
+ * @example
+ * window.routes["/reports"] = Pragmatic.lazy(() => import("./pages/Reports.js"));
+ */
+function lazy(loader) {
+	lazyLoaders.add(loader);
+	return loader;
+}
+
+/**
+ * Loads a lazy route component once and caches it. Failed loads are retried on the next call.
+ * @param {Function} loader - The lazy route loader.
+ * @param {Promise} [pending] - A load already started by calling the loader.
+ * @returns {Promise<Function>} - The module's default export (or the module itself if it's a function).
+ */
+function loadRouteComponent(loader, pending) {
+	const cached = lazyComponents.get(loader);
+	if (cached) return cached.promise;
+
+	const promise = Promise.resolve(pending || loader()).then((module) => {
+		const component = typeof module === "function" ? module : module && module.default;
+		if (typeof component !== "function") {
+			throw new Error("Lazy route module has no default export component");
+		}
+		lazyComponents.set(loader, { promise, component });
+		return component;
+	}).catch((error) => {
+		lazyComponents.delete(loader);
+		throw error;
+	});
+
+	lazyComponents.set(loader, { promise });
+	return promise;
+}
+
+/**
+ * Loads the lazy components of a route ahead of time, e.g. when a link to it is hovered.
+ * Only loaders wrapped in `lazy()`, or already visited ones, can be prefetched: other
+ * components can't be told apart from loaders without calling them.
+ * @param {string} route - The route to prefetch.
+ * @returns {Promise} - Resolves once the route's components are loaded.
+ */
+function prefetch(route) {
+	const loads = resolveRoute(route).matched
+		.map(level => level.record.component)
+		.filter(component => lazyLoaders.has(component))
+		.map(loader => loadRouteComponent(loader).catch(() => {}));
+	return Promise.all(loads);
+}
+
+// Depth of the outlet being rendered, so a <RouterView> inside a layout renders
+// the layout's child route, the disposers of outlets created during that render,
+// and the route being rendered, which `Pragmatic.head()` calls belong to
+let outletDepth = 0;
+let outletChildren = null;
+let outletRecord = null;
+
+/**
+ * Renders the component for the current route into a container and keeps it
+ * in sync with `State.route`. Inside a layout the outlet renders the layout's
+ * child route. A level is only rebuilt when its route (or its part of the path)
+ * changes, so layouts keep their DOM and state while navigating between children.
+ * While a lazy route loads, `routeLoading` is true and the loading component is shown;
+ * if it fails, `routeError` holds the message and the error component is shown.
+ * @param {Element|string} container - The outlet element, or a selector for it.
+ * @returns {Function} - Call to stop rendering routes into the container.
+ *
+ * @example
+ * Pragmatic.mount("#app");
+ */
+function mount(container) {
+	const outlet = typeof container === "string" ? document.querySelector(container) : container;
+	if (!outlet) {
+		console.error("Pragmatic.mount could not find container:", container);
+		return () => {};
+	}
+
+	const depth = outletDepth;
+	const nestedOutlets = [];
+	let rendered = false;
+	let current = null;
+	// Set once disposed: a route notification that's under way still reaches this
+	// outlet after its layout disposed it
+	let disposed = false;
+
+	const disposeNested = () => {
+		nestedOutlets.splice(0).forEach(dispose => dispose());
+	};
+
+	// Renders a component with this outlet as the parent of any nested outlets
+	const render = (component) => {
+		disposeNested();
+		const previousDepth = outletDepth;
+		const previousChildren = outletChildren;
+		const previousRecord = outletRecord;
+		outletDepth = depth + 1;
+		outletChildren = nestedOutlets;
+		outletRecord = current && current.record;
+		try {
+			const node = component ? h(component, {}) : document.createComment("Loading");
+			if (node instanceof Node) {
+				replaceContent(outlet, node);
+			}
+			return node;
+		} finally {
+			outletDepth = previousDepth;
+			outletChildren = previousChildren;
+			outletRecord = previousRecord;
+		}
+	};
+
+	// Shows the loading component until a lazy route resolves, then renders it
+	const renderLazy = (level, loader, pending) => {
+		pendingRouteLoads++;
+		State.set({ routeLoading: true, routeError: null });
+		render(level.record.loading || routerOptions.loading);
+
+		loadRouteComponent(loader, pending).then((component) => {
+			if (!disposed && current === level) render(component);
+		}, (error) => {
+			console.error("Failed to load route component:", error);
+			State.set({ routeError: error && error.message ? error.message : String(error) });
+			if (!disposed && current === level) {
+				const errorComponent = level.record.error || routerOptions.error;
+				if (errorComponent) {
+					// Passed outside h() props so the error isn't mirrored as an attribute
+					render((props) => errorComponent({ ...props, error }));
+				} else {
+					replaceContent(outlet, document.createComment("Route failed to load"));
+				}
+			}
+		}).catch((error) => {
+			// The loaded component or the error component threw while rendering
+			console.error("Failed to render route component:", error);
+			if (!disposed && current === level) {
+				const message = State.get("routeError") || (error && error.message ? error.message : String(error));
+				replaceContent(outlet, document.createTextNode(message));
+			}
+		}).finally(() => {
+			pendingRouteLoads--;
+			State.set({ routeLoading: pendingRouteLoads > 0 });
+		});
+	};
+
+	const unsubscribe = State.subscribe("route", (route) => {
+		if (disposed) return;
+		const level = resolveRoute(route).matched[depth];
+		// Query string and hash changes, and child route changes, keep this level
+		if (rendered && (current === level || (current && level && current.record === level.record && current.path === level.path))) return;
+		rendered = true;
+		current = level;
+
+		if (!level || !level.record.component) {
+			disposeNested();
+			replaceContent(outlet, document.createComment("No route"));
+			return;
+		}
+
+		if (State.get("routeError")) State.set({ routeError: null });
+
+		const { component } = level.record;
+		const loaded = lazyComponents.get(component);
+		if (loaded && loaded.component) {
+			render(loaded.component);
+		} else if (lazyLoaders.has(component)) {
+			renderLazy(level, component);
+		} else {
+			const node = render(component);
+			// A component that returns a Promise is a lazy loader like `() => import(...)`
+			if (node && typeof node.then === "function") {
+				lazyLoaders.add(component);
+				renderLazy(level, component, node);
+			}
+		}
+	});
+
+	const dispose = () => {
+		disposed = true;
+		unsubscribe();
+		disposeNested();
+	};
+	if (outletChildren) outletChildren.push(dispose);
+	return dispose;
+}
+
+/**
+ * Replaces an outlet's content, disposing the previous page even if the outlet
+ * isn't in the document.
+ * @param {Element} outlet - The outlet.
+ * @param {Node} node - The new content.
+ */
+function replaceContent(outlet, node) {
+	const previous = [...outlet.childNodes];
+	outlet.replaceChildren(node);
+	previous.forEach(child => disposeTree(child));
+}
+
+/**
+ * Router outlet component. Renders the component for the current route,
+ * or the current child route when used inside a layout.
+ * @example <RouterView class="page" />
+ */
+window.RouterView = (props) => {
+	const { children, route, location, ...otherProps } = props;
+	const outlet = h("div", otherProps);
+	addCleanup(outlet, mount(outlet));
+	return outlet;
+};
+
+/**
+ * Navigation link that reflects the current route. Adds `activeClass` while its route
+ * or one of its child routes is active, and `exactActiveClass` plus `aria-current="page"`
+ * while its route is the current one.
+ * @param {Object} props - Anchor props, plus:
+ * @param {string} props.href - The internal route path.
+ * @param {boolean} [props.exact] - Only apply `activeClass` on an exact match.
+ * @param {string} [props.activeClass] - Overrides the router's `activeClass`.
+ * @param {string} [props.exactActiveClass] - Overrides the router's `exactActiveClass`.
+ * @param {string|boolean} [props.prefetch] - "hover" (or `true`) or "visible" to load the route ahead of
+ *        time, if its loader is wrapped in `Pragmatic.lazy()` or it was visited before.
+ * @returns {HTMLAnchorElement} - The link.
+ *
+ * @example <NavLink href="/settings" prefetch="visible">Settings</NavLink>
+ */
+window.NavLink = (props, ...children) => {
+	const {
+		href,
+		exact = false,
+		activeClass = routerOptions.activeClass,
+		exactActiveClass = routerOptions.exactActiveClass,
+		prefetch: prefetchMode,
+		children: propChildren,
+		route,
+		location,
+		...otherProps
+	} = props;
+	if (!href || !href.startsWith("/")) {
+		console.warn("NavLink component expects an internal route path starting with '/'");
+	}
+
+	const linkPath = parseRoute(href).path;
+	const loadRoute = () => prefetch(href);
+
+	if (prefetchMode === "visible") {
+		const { onShow } = otherProps;
+		otherProps.onShow = (el) => {
+			loadRoute();
+			if (onShow) onShow(el);
+		};
+	}
+
+	const el = h("a", { href, ...otherProps }, ...(children.length ? children : propChildren || []));
 
-	// Add SVG namespace support
-	if (tag === 'svg' || ['path', 'circle', 'rect', 'line', 'polygon', 'g', 'defs', 'use', 'text', 'tspan', 'title', 'desc', 'metadata', 'symbol', 'marker', 'pattern', 'filter', 'feGaussianBlur', 'feOffset', 'feMerge', 'feMergeNode', 'feComposite', 'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feFuncR', 'feFuncG', 'feFuncB', 'feFuncA', 'feConvolveMatrix', 'feDiffuseLighting', 'feSpecularLighting', 'fePointLight', 'feSpotLight', 'feDistantLight', 'feMorphology', 'feTile', 'feTurbulence', 'feDisplacementMap', 'feFlood', 'feImage', 'feDropShadow'].includes(tag)) {
-		const svgEl = document.createElementNS('http://www.w3.org/2000/svg', tag);
-		// Copy all properties and methods from the HTML element to the SVG element
-		Object.getOwnPropertyNames(el).forEach(prop => {
-			try {
-				if (prop !== 'namespaceURI') {
-					svgEl[prop] = el[prop];
-				}
-			} catch (e) {
-				// Skip read-only properties
-			}
-		});
-		el = svgEl;
+	if (prefetchMode === true || prefetchMode === "hover") {
+		el.addEventListener("mouseenter", loadRoute);
+		el.addEventListener("focus", loadRoute);
 	}
 
-	Object.entries(props || {}).forEach(([key, val]) => {
-		if (key.startsWith("on") && typeof val === "function") {
-			if (key === "onShow") {
-				const observer = new IntersectionObserver((entries) => {
-					entries.forEach(entry => {
-						if (entry.isIntersecting) {
-							val(el);
-						}
-					});
-				}, {
-					threshold: 0.1
-				});
+	addCleanup(el, State.subscribe("route", (current) => {
+		const { path } = parseRoute(current);
+		const isExactActive = path === linkPath;
+		// "/" would be a prefix of everything, so it's only active on an exact match
+		const isActive = isExactActive || (!exact && linkPath !== "/" && path.startsWith(linkPath.replace(/\/$/, "") + "/"));
 
-				requestAnimationFrame(() => {
-					if (document.contains(el)) {
-						observer.observe(el);
-					}
-				});
+		if (activeClass) el.classList.toggle(activeClass, isActive);
+		if (exactActiveClass) el.classList.toggle(exactActiveClass, isExactActive);
+		if (isExactActive) {
+			el.setAttribute("aria-current", "page");
+		} else {
+			el.removeAttribute("aria-current");
+		}
+	}));
 
-				el.onShow = val;
-			} else if (key === "onClick" && el.tagName === "A") {
-				// Handle link clicks - allow href navigation by default, but support onClick
-				el.addEventListener("click", (e) => {
-					// If onClick returns false, prevent default navigation
-					if (val(e) === false) {
-						e.preventDefault();
-					}
-				});
-			} else {
-				el.addEventListener(key.slice(2).toLowerCase(), val);
-			}
-		} else if (key === "class-if" && typeof val === "function") {
-			const updateVisibility = () => {
-				el.style.display = val() ? "" : "none";
-			};
+	return el;
+};
 
-			updateVisibility();
+// Head values set by components through Pragmatic.head(), by route record
+const componentHeads = new Map();
+// Meta and link tags the router has changed, by name
+const managedHeadTags = new Map();
+let defaultTitle = null;
+let headSubscriptions = [];
+let headUpdateScheduled = false;
 
-			const boundKey = val.toString().match(/State\.get\(["'](.+?)["']\)/);
-			if (boundKey && boundKey[1]) {
-				State.subscribe(boundKey[1], updateVisibility);
-			}
+/**
+ * Sets the document title and meta tags for the current route from a component.
+ * Values override the route's `title`/`meta` until the user navigates away, and
+ * may be functions that read `State` to stay up to date.
+ * @param {Object} values
+ * @param {string|Function} [values.title] - The document title.
+ * @param {Object} [values.meta] - Meta tags by name, e.g. `description`, `canonical` or `og:title`.
+ *
+ * @example
+ * Pragmatic.head({ title: () => `${State.get("user").name} - Profile` });
+ */
+function head(values = {}) {
+	const record = outletRecord || resolveRoute(State.get("route")).record;
+	const previous = componentHeads.get(record) || {};
+	componentHeads.set(record, {
+		...previous,
+		...values,
+		meta: { ...previous.meta, ...values.meta }
+	});
+	scheduleHeadUpdate();
+}
 
-			const updateClass = () => {
-				const className = val();
-				el.className = className || "";
-			};
-			updateClass();
-			State.set({
-				[`__update_${tag}`]: updateClass
-			});
-			window.addEventListener("popstate", updateClass);
-		} else if (key === "show-if" && typeof val === "function") {
-			if (typeof val === "function") {
-				//
-				const updateVisibility = () => {
-					el.style.display = val() ? "" : "none";
-				}
+function scheduleHeadUpdate() {
+	if (headUpdateScheduled) return;
+	headUpdateScheduled = true;
+	requestAnimationFrame(() => {
+		headUpdateScheduled = false;
+		applyHead();
+	});
+}
+
+/**
+ * Finds or creates the tag for a meta name: `<link rel="canonical">` for "canonical",
+ * `<meta property>` for Open Graph ("og:*") names and `<meta name>` for the rest.
+ * @param {string} name - The meta name.
+ * @returns {{el: Element, attribute: string, original: ?string, created: boolean}} - The managed tag.
+ */
+function getHeadTag(name) {
+	if (!managedHeadTags.has(name)) {
+		const [tagName, key, attribute] = name === "canonical"
+			? ["link", "rel", "href"]
+			: ["meta", name.startsWith("og:") ? "property" : "name", "content"];
+		let el = document.head.querySelector(`${tagName}[${key}="${name}"]`);
+		const created = !el;
+		if (created) {
+			el = document.createElement(tagName);
+			el.setAttribute(key, name);
+		}
+		managedHeadTags.set(name, { el, attribute, original: el.getAttribute(attribute), created });
+	}
+	return managedHeadTags.get(name);
+}
 
-				updateVisibility()
+/**
+ * Applies the title and meta tags of the current route: its records' `title`/`meta`
+ * (layouts first) overridden by values components set with `Pragmatic.head()`.
+ * Tags no longer set are restored to their original content, or removed.
+ * Re-applies whenever a state key read by a function value changes.
+ */
+function applyHead() {
+	headSubscriptions.splice(0).forEach(unsubscribe => unsubscribe());
+	if (defaultTitle === null) defaultTitle = document.title;
+
+	const route = State.get("route");
+	const location = createLocation(route || "/");
+	let title = defaultTitle;
+	let meta = {};
+	resolveRoute(route).matched.forEach(({ record }) => {
+		[record, componentHeads.get(record) || {}].forEach(source => {
+			if (source.title !== undefined) title = source.title;
+			meta = { ...meta, ...source.meta };
+		});
+	});
 
-				//
-				const boundKey = val.toString().match(/State\.get\(["'](.+?)["']\)/);
-				if (boundKey && boundKey[1]) {
-					State.subscribe(boundKey[1], updateVisibility);
-				}
-			}
-		} else if (key === "valid-if" && typeof val === "function") {
-			el.validIf = val;
-		} else {
-			el.setAttribute(key, val);
+	const reads = [];
+	const resolve = (value) => {
+		if (typeof value !== "function") return value;
+		try {
+			const result = collectStateKeys(() => value(location));
+			reads.push(result.reads);
+			return result.value;
+		} catch (e) {
+			console.error("Error resolving head value:", e);
+			return undefined;
+		}
+	};
+
+	const resolvedTitle = resolve(title);
+	document.title = resolvedTitle === undefined || resolvedTitle === null ? defaultTitle : String(resolvedTitle);
+
+	const applied = new Set();
+	Object.entries(meta).forEach(([name, value]) => {
+		const resolved = resolve(value);
+		if (resolved === undefined || resolved === null) return;
+		const tag = getHeadTag(name);
+		tag.el.setAttribute(tag.attribute, String(resolved));
+		if (!tag.el.isConnected) document.head.appendChild(tag.el);
+		applied.add(name);
+	});
+
+	managedHeadTags.forEach((tag, name) => {
+		if (applied.has(name)) return;
+		if (tag.created) {
+			tag.el.remove();
+		} else if (tag.original !== null) {
+			tag.el.setAttribute(tag.attribute, tag.original);
 		}
 	});
 
+	reads.forEach(sources => sources.forEach((keys, source) => keys.forEach(key => {
+		headSubscriptions.push(source.subscribe(key, scheduleHeadUpdate, { immediate: false }));
+	})));
+}
 
-	// Handle internal route navigation for links
-	if (el.tagName === "A") {
-		const href = el.getAttribute("href");
-		if (href && href.startsWith("/") && !href.startsWith("//")) {
-			// Internal route - intercept navigation
-			el.addEventListener("click", (e) => {
-				// Only intercept if no onClick handler or onClick didn't prevent default
-				if (!props.onClick || props.onClick(e) !== false) {
-					// Don't intercept if there's a hash fragment - let browser handle it naturally
-					if (href.includes("#")) {
-						// Let the browser handle hash navigation naturally
-						return;
-					}
-					e.preventDefault();
-					navigate(href);
-				}
-			});
+const navigationHooks = {
+	beforeEach: [],
+	afterEach: []
+};
+
+// Index of the current history entry, stored in `history.state` so popstate
+// navigations cancelled by a guard can be undone with `history.go()`
+let historyIndex = 0;
+let navigationId = 0;
+let ignoreNextPopState = false;
+// Route of the last popstate, whose hashchange event (fired right after it) is already handled
+let poppedRoute = null;
+// Scroll positions of visited history entries, by history index
+const scrollPositions = {};
+
+/**
+ * Registers a global guard that runs before every navigation.
+ * Return `false` to cancel, a path (or `{ path, replace }`) to redirect,
+ * or a Promise resolving to either for async checks.
+ * @param {Function} guard - Called with `(to, from)` route locations.
+ * @returns {Function} - Call to remove the guard.
+ *
+ * @example
+ * Pragmatic.beforeEach((to) => {
+ *     if (to.path.startsWith("/admin") && !State.get("user")) return "/login";
+ * });
+ */
+function beforeEach(guard) {
+	navigationHooks.beforeEach.push(guard);
+	return () => {
+		navigationHooks.beforeEach = navigationHooks.beforeEach.filter(fn => fn !== guard);
+	};
+}
+
+/**
+ * Registers a hook that runs after every completed navigation.
+ * @param {Function} hook - Called with `(to, from)` route locations.
+ * @returns {Function} - Call to remove the hook.
+ */
+function afterEach(hook) {
+	navigationHooks.afterEach.push(hook);
+	return () => {
+		navigationHooks.afterEach = navigationHooks.afterEach.filter(fn => fn !== hook);
+	};
+}
+
+/**
+ * Describes a route for navigation guards and hooks.
+ * `matched` lists the route records from the outermost layout to the page.
+ * @param {string} route - The route.
+ * @returns {{fullPath: string, path: string, params: Object, query: Object, hash: string, matched: Object[]}|null}
+ */
+function createLocation(route) {
+	if (typeof route !== "string") return null;
+	const { path, query, hash } = parseRoute(route);
+	const { params, matched } = resolveRoute(path);
+	return { fullPath: route, path, params, query, hash, matched: matched.map(level => level.record) };
+}
+
+/**
+ * Whether a guard result stops the navigation: `false` cancels it,
+ * a path or `{ path, replace }` redirects. Anything else lets it continue.
+ * @param {*} result - The guard's (resolved) return value.
+ * @returns {boolean}
+ */
+function isGuardVeto(result) {
+	return result === false || typeof result === "string" || (!!result && typeof result.path === "string");
+}
+
+/**
+ * Runs guards in order until one cancels or redirects the navigation.
+ * Stays synchronous until a guard returns a Promise.
+ * @param {Function[]} guards - The guards to run.
+ * @param {Array} args - Arguments passed to every guard.
+ * @param {Function} done - Called with `true`, or the first guard's veto/redirect.
+ * @returns {*} - The result of `done`, or a Promise of it.
+ */
+function runGuards(guards, args, done) {
+	for (let i = 0; i < guards.length; i++) {
+		let result;
+		try {
+			result = guards[i](...args);
+		} catch (e) {
+			console.error("Error in navigation guard:", e);
+			return done(false);
 		}
-	}
 
-	if (el.tagName === "INPUT" || el.tagName === "TEXTAREA" || el.tagName === "SELECT") {
-		const bindKey = props["data-bind"];
-		if (bindKey) {
-			const clearInvalidState = () => {
-				if (State.get(`${bindKey}_invalid`)) {
-					State.set({
-						[`${bindKey}_invalid`]: undefined
-					});
-					State.set({
-						[`${bindKey}_valid`]: true
-					});
-					el.classList.remove('invalid');
+		if (result && typeof result.then === "function") {
+			return result.then(
+				(resolved) => isGuardVeto(resolved)
+					? done(resolved)
+					: runGuards(guards.slice(i + 1), args, done),
+				(e) => {
+					console.error("Error in navigation guard:", e);
+					return done(false);
 				}
-			};
-			el.addEventListener("input", clearInvalidState);
-			el.addEventListener("change", clearInvalidState);
-			el.addEventListener("focus", clearInvalidState);
+			);
 		}
+		if (isGuardVeto(result)) return done(result);
+	}
+	return done(true);
+}
+
+/**
+ * Runs the navigation pipeline: `beforeEach` guards, `onLeave` of the routes being left
+ * and `onEnter` of the routes being entered, then updates state and history and runs `afterEach` hooks.
+ * @param {string} fullPath - The target route.
+ * @param {Object} options
+ * @param {boolean} [options.replace] - Replace the current history entry instead of pushing.
+ * @param {Object} [options.state] - Extra state to set with the route.
+ * @param {boolean} [options.popstate] - The browser already changed the URL (back/forward, hash change).
+ * @param {number} [options.index] - The history index of a popstate entry.
+ * @param {boolean} [options.initial] - The first navigation after the page loads.
+ * @param {boolean} [options.scroll] - `false` leaves the scroll position alone.
+ * @returns {boolean|Promise<boolean>} - Whether the navigation completed.
+ */
+function runNavigation(fullPath, options = {}, redirects = 0) {
+	const id = ++navigationId;
+	const from = options.initial ? null : createLocation(State.get("route"));
+	const to = createLocation(fullPath);
+	const fromMatched = from ? from.matched : [];
+	const pathChanged = !from || from.path !== to.path;
+
+	// Layouts shared by both routes are neither left nor entered; the page itself
+	// is re-entered when only its params change
+	let shared = 0;
+	while (shared < fromMatched.length && shared < to.matched.length && fromMatched[shared] === to.matched[shared]) shared++;
+	if (pathChanged && shared === fromMatched.length && shared === to.matched.length) shared--;
+
+	const guards = [...navigationHooks.beforeEach];
+	if (pathChanged) {
+		fromMatched.slice(Math.max(shared, 0)).reverse().forEach(record => {
+			if (typeof record.onLeave === "function") guards.push(record.onLeave);
+		});
+		to.matched.slice(Math.max(shared, 0)).forEach(record => {
+			if (typeof record.onEnter === "function") guards.push(record.onEnter);
+		});
 	}
 
-	children.flat().forEach((child) => {
-		if (typeof child === "function") {
-			const placeholder = document.createTextNode("");
-			el.appendChild(placeholder);
+	return runGuards(guards, [to, from], (result) => {
+		// A newer navigation started while a guard was pending
+		if (id !== navigationId) return false;
 
-			const render = () => {
-				const result = child();
+		if (result !== true) {
+			const redirect = typeof result === "string" ? { path: result } : result;
+			if (redirect && typeof redirect.path === "string") {
+				if (redirects >= 10) {
+					console.error("Too many navigation redirects, stopped at:", redirect.path);
+					return false;
+				}
+				return runNavigation(redirect.path, {
+					replace: options.popstate || options.initial || redirect.replace,
+					state: options.state,
+					scroll: options.scroll
+				}, redirects + 1);
+			}
 
-				// Clear any existing content after the placeholder
-				while (placeholder.nextSibling && placeholder.nextSibling.nodeType !== 8) {
-					placeholder.nextSibling.remove();
+			// Cancelled - put the URL back if the browser already changed it
+			if (options.popstate && from) {
+				if (typeof options.index === "number" && options.index !== historyIndex) {
+					ignoreNextPopState = true;
+					history.go(historyIndex - options.index);
+				} else {
+					history.replaceState({ path: from.fullPath, index: historyIndex }, "", toHref(from.fullPath));
 				}
+			}
+			return false;
+		}
 
-				if (Array.isArray(result)) {
-					while (placeholder.nextSibling && placeholder.nextSibling.nodeType !== 8) {
-						placeholder.nextSibling.remove();
-					}
+		// Remember where the user was on the page being left
+		if (from) {
+			scrollPositions[historyIndex] = { x: window.scrollX, y: window.scrollY };
+		}
 
-					const fragment = document.createDocumentFragment();
-					result.forEach(item => {
-						if (item instanceof Node) {
-							fragment.appendChild(item);
-						} else {
-							fragment.appendChild(document.createTextNode(String(item)));
-						}
-					});
+		// Pages being left or re-entered set their head values again when they render
+		[...fromMatched.slice(Math.max(shared, 0)), ...to.matched.slice(Math.max(shared, 0))]
+			.forEach(record => componentHeads.delete(record));
+
+		// Update state (this triggers the show-if system to update views)
+		State.withSource("navigate", () => State.set({
+			...getRouteState(to.fullPath),
+			...(options.state || {})
+		}));
+		scheduleHeadUpdate();
+
+		// Update browser history
+		if (options.popstate) {
+			if (typeof options.index === "number") historyIndex = options.index;
+		} else if (options.replace) {
+			history.replaceState({ path: to.fullPath, index: historyIndex }, "", toHref(to.fullPath));
+		} else {
+			historyIndex++;
+			// Entries after this one were dropped from history
+			Object.keys(scrollPositions).forEach(index => {
+				if (Number(index) >= historyIndex) delete scrollPositions[index];
+			});
+			history.pushState({ path: to.fullPath, index: historyIndex }, "", toHref(to.fullPath));
+		}
 
-					placeholder.after(fragment);
-				} else if (typeof result === "string" || typeof result === "number") {
-					if (placeholder.nextSibling && placeholder.nextSibling.nodeType === 3) {
-						placeholder.nextSibling.textContent = String(result);
-					} else {
-						placeholder.after(document.createTextNode(String(result)));
-					}
-				} else if (result instanceof Node) {
-					placeholder.after(result);
-				} else if (result === null || result === undefined) {
-					// Handle null/undefined results
-					placeholder.after(document.createComment("No content"));
-				} else {
-					// Fallback for other types
-					placeholder.after(document.createTextNode(String(result)));
-				}
-			};
+		if (options.scroll !== false) {
+			scrollAfterNavigation(to, options.popstate ? scrollPositions[options.index] : null);
+		}
 
-			// Track which state keys this function accesses
-			const accessedKeys = new Set();
-			
-			// Execute the function to capture accessed keys
+		navigationHooks.afterEach.forEach(hook => {
 			try {
-				// Create a proxy to intercept State.get calls
-				const originalGet = State.get;
-				State.get = function(key) {
-					accessedKeys.add(key);
-					return originalGet.call(State, key);
-				};
-				
-				child();
-				
-				// Restore original State.get
-				State.get = originalGet;
+				hook(to, from);
 			} catch (e) {
-				console.error('Error executing function child:', e);
+				console.error("Error in afterEach hook:", e);
 			}
-			
-			// Subscribe to all accessed keys
-			accessedKeys.forEach(key => {
-				State.subscribe(key, render);
-			});
+		});
+		return true;
+	});
+}
 
-			render();
-		} else if (Array.isArray(child)) {
-			child.forEach(item => {
-				if (item instanceof Node) {
-					el.appendChild(item);
-				} else {
-					el.appendChild(document.createTextNode(String(item)));
-				}
-			});
-		}	else if (typeof child === "string" || typeof child === "number") {
-			el.appendChild(document.createTextNode(child));
-		} else if (child instanceof Node) {
-			el.appendChild(child);
+/**
+ * Runs a callback once the current route's content is on the page: after the
+ * next frame (when `show-if` updates have run) and after any lazy route has loaded.
+ * @param {Function} callback - The callback.
+ */
+function whenRouteRendered(callback) {
+	requestAnimationFrame(() => {
+		if (!State.get("routeLoading")) {
+			callback();
+			return;
 		}
+		let unsubscribe = null;
+		unsubscribe = State.subscribe("routeLoading", (loading) => {
+			if (loading || !unsubscribe) return;
+			unsubscribe();
+			requestAnimationFrame(callback);
+		});
 	});
+}
 
-	return el;
-};
-
-
-
+/**
+ * Scrolls to the element targeted by a hash, leaving `scrollOffset` pixels above it.
+ * @param {string} hash - The hash, without "#".
+ * @returns {boolean} - Whether a target was found.
+ */
+function scrollToAnchor(hash) {
+	const id = decodeSegment(hash);
+	const target = document.getElementById(id) || document.getElementsByName(id)[0];
+	if (!target) return false;
+
+	const { scrollOffset } = routerOptions;
+	const offset = typeof scrollOffset === "function" ? scrollOffset(target) : scrollOffset;
+	window.scrollTo(window.scrollX, target.getBoundingClientRect().top + window.scrollY - (Number(offset) || 0));
+	return true;
+}
 
-window.routes = {
-	'/404': () => h("div", {}, "404 Page not found")
-};
+/**
+ * Scrolls after a navigation: back/forward restores the saved position,
+ * a hash scrolls to its anchor once the content has rendered, anything else scrolls to the top.
+ * @param {Object} to - The route location navigated to.
+ * @param {{x: number, y: number}} [savedPosition] - The position saved for a history entry.
+ */
+function scrollAfterNavigation(to, savedPosition) {
+	if (!savedPosition && !to.hash) {
+		window.scrollTo(0, 0);
+		return;
+	}
+	whenRouteRendered(() => {
+		if (savedPosition) {
+			window.scrollTo(savedPosition.x, savedPosition.y);
+		} else {
+			scrollToAnchor(to.hash);
+		}
+	});
+}
 
 /**
  * Navigates to a new route and updates the view accordingly.
+ * Runs `beforeEach` guards and the routes' `onLeave`/`onEnter` hooks first.
  * @param {string} path - The target route path.
- * @param {Object|boolean} options - Either a state object to set, or a boolean for replace behavior.
- * @param {boolean} replace - Whether to replace the current history state (only used when second param is state object).
+ * @param {Object|boolean} [state] - Either a state object to set, or a boolean for replace behavior.
+ * @param {boolean|Object} [options] - Whether to replace the current history state, or options:
+ * @param {boolean} [options.replace] - Whether to replace the current history entry.
+ * @param {boolean} [options.scroll] - `false` keeps the scroll position.
+ * @returns {Promise<boolean>} - Resolves to whether the navigation completed.
+ *
+ * @example
+ * navigate("/inbox", { navOpen: false }, { scroll: false });
  */
-window.navigate = (path, options = false, replace = false) => {
+window.navigate = (path, state = false, options = false) => {
 	// Extract pathname and hash from the path
 	const [pathname, hash] = path.split('#');
 	const fullPath = hash ? `${pathname}#${hash}` : pathname;
-	
-	if (fullPath === State.get('route')) return;
 
 	// Handle different parameter patterns
 	let stateToSet = {};
 	let shouldReplace = false;
 	
-	if (typeof options === 'object' && options !== null) {
+	if (typeof state === 'object' && state !== null) {
 		// Second param is state object: navigate("/route", {navOpen: false})
-		stateToSet = options;
-		shouldReplace = replace;
-	} else if (typeof options === 'boolean') {
+		stateToSet = state;
+	} else if (typeof state === 'boolean') {
 		// Second param is replace boolean: navigate("/route", true)
-		shouldReplace = options;
+		shouldReplace = state;
 	}
 
-	// Update state (this triggers the show-if system to update views)
-	State.set({
-		route: fullPath,
-		...stateToSet
-	});
-
-
+	// Third param is replace boolean or options: navigate("/route", null, {scroll: false})
+	const { replace = false, scroll = true } = typeof options === 'object' && options !== null ? options : { replace: options };
+	shouldReplace = shouldReplace || !!replace;
 
-	// Scroll to top of page (unless navigating to a hash)
-	if (!hash) {
-		window.scrollTo(0, 0);
+	if (fullPath === State.get('route')) {
+		// Following the same anchor link again scrolls back to it
+		if (hash && scroll !== false) scrollToAnchor(hash);
+		return Promise.resolve(false);
 	}
 
-	// Update browser history
-	if (shouldReplace) {
-		history.replaceState({
-			path: fullPath
-		}, "", fullPath);
-	} else {
-		history.pushState({
-			path: fullPath
-		}, "", fullPath);
-	}
+	return Promise.resolve(runNavigation(fullPath, { replace: shouldReplace, state: stateToSet, scroll }));
 };
 
+// Back/forward goes through the same guards as navigate()
 window.addEventListener("popstate", (event) => {
-	navigate(event.state?.path || "/", true);
+	if (ignoreNextPopState) {
+		ignoreNextPopState = false;
+		return;
+	}
+	const route = event.state?.path || readLocation();
+	poppedRoute = route;
+	if (route === State.get('route')) return;
+	runNavigation(route, { popstate: true, index: event.state?.index });
 });
 
-// Listen for hash changes to update route state
+// Listen for hash changes to update route state (in hash mode, this is every URL change)
 window.addEventListener("hashchange", () => {
 	const currentRoute = State.get('route');
-	const newRoute = window.location.pathname + window.location.hash;
+	const newRoute = readLocation();
+	if (newRoute === poppedRoute) {
+		poppedRoute = null;
+		return;
+	}
 	if (currentRoute !== newRoute) {
-		State.set({ route: newRoute });
+		runNavigation(newRoute, { popstate: true });
 	}
 });
 
-document.addEventListener("DOMContentLoaded", () => {
-	navigate(State.get('route') || '/', true);
-});
+/**
+ * Runs the initial navigation once the DOM is ready, after the app has
+ * registered its routes and guards.
+ */
+function startRouter() {
+	const route = readLocation();
+	// The router restores scroll positions itself once content has rendered
+	if ("scrollRestoration" in history) {
+		history.scrollRestoration = "manual";
+	}
+	historyIndex = history.state?.index || 0;
+	routerStarted = true;
+	runNavigation(route, { replace: true, initial: true });
+}
 
 /**
  * Validates all fields within a specified validation group.
@@ -1120,11 +3887,13 @@ window.validate = function(groupName) {
 	);
 
 	let allValid = true;
-	let validationStates = {};
+	let validationStates = new Map();
 
 	fields.forEach((field) => {
 		let validationFn = field.validIf;
 		let bindKey = field.getAttribute("data-bind");
+		const states = validationStates.get(getElementStore(field)) || {};
+		validationStates.set(getElementStore(field), states);
 
 		if (typeof validationFn === "function" && bindKey) {
 			try {
@@ -1133,8 +3902,8 @@ window.validate = function(groupName) {
 				field.classList.toggle("valid", isValid);
 				field.classList.toggle("invalid", !isValid);
 
-				validationStates[`${bindKey}_valid`] = isValid;
-				validationStates[`${bindKey}_invalid`] = !isValid;
+				states[`${bindKey}_valid`] = isValid;
+				states[`${bindKey}_invalid`] = !isValid;
 
 				if (!isValid) allValid = false;
 			} catch (e) {
@@ -1144,8 +3913,8 @@ window.validate = function(groupName) {
 		}
 	});
 
-	State.set(validationStates);
-	State.set({
+	validationStates.forEach((states, store) => store.set(states));
+	(wrapper ? getElementStore(wrapper) : State).set({
 		[`${groupName}_valid`]: allValid,
 		[`${groupName}_invalid`]: !allValid
 	});
@@ -1171,73 +3940,144 @@ window.resetValidation = function(groupName) {
 	const extraFieldsInsideGroups = [...document.querySelectorAll(`[group="${groupName}"] input, select, textarea`)];
 	const fields = [...new Set([...wrapperFields, ...directFields, ...extraFieldsInsideGroups])];
 
-	let validationStates = {};
+	let validationStates = new Map();
 
 	fields.forEach((field) => {
 		let bindKey = field.getAttribute("data-bind");
 
 		if (bindKey) {
-			validationStates[`${bindKey}_valid`] = undefined;
-			validationStates[`${bindKey}_invalid`] = undefined;
+			const states = validationStates.get(getElementStore(field)) || {};
+			validationStates.set(getElementStore(field), states);
+			states[`${bindKey}_valid`] = undefined;
+			states[`${bindKey}_invalid`] = undefined;
 
 			field.classList.remove("valid", "invalid");
 		}
 	});
 
-	State.set(validationStates);
+	validationStates.forEach((states, store) => store.set(states));
 
-	State.set({
+	(wrapper ? getElementStore(wrapper) : State).set({
 		[`${groupName}_valid`]: undefined,
 		[`${groupName}_invalid`]: undefined
 	});
 }
 
 /**
- * Creates a reactive object that triggers updates when properties change.
- * @param {Object} obj - The initial state object.
- * @param {Function} callback - Function to call on state updates.
- * @returns {Proxy} - A proxy object with reactive behavior.
+ * Reads a value by dot-separated path, e.g. "user.address.city" or "cart.items.length".
+ * A key that exists as-is (even if it contains dots) wins over a path.
+ * @param {Object} obj - The object to read from.
+ * @param {string} path - The key or path.
+ * @returns {*} - The value, or undefined if any part of the path is missing.
  */
-window.reactive = function(obj, callback) {
-	return new Proxy(obj, {
-		set(target, key, value) {
-			if (target[key] === value) return true;
-			target[key] = value;
-			callback(key, value);
-			return true;
+function getPath(obj, path) {
+	if (obj === null || obj === undefined) return undefined;
+	if (typeof path !== "string" || !path.includes(".") || path in Object(obj)) return obj[path];
+	return path.split(".").reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), obj);
+}
+
+/**
+ * Writes a value by dot-separated path, creating missing objects along the way.
+ * @param {Object} obj - The object to write to.
+ * @param {string} path - The key or path, e.g. "user.name".
+ * @param {*} value - The value.
+ */
+function setPath(obj, path, value) {
+	if (!path.includes(".") || path in obj) {
+		obj[path] = value;
+		return;
+	}
+	const parts = path.split(".");
+	const last = parts.pop();
+	let target = obj;
+	parts.forEach(part => {
+		if (target[part] === null || typeof target[part] !== "object") {
+			target[part] = {};
 		}
+		target = target[part];
 	});
+	target[last] = value;
+}
+
+/**
+ * Whether a change at one path affects another: the same path, or one inside the other.
+ * @param {string} a - A state path.
+ * @param {string} b - Another state path.
+ * @returns {boolean}
+ *
+ * @example
+ * isRelatedPath("user", "user.name"); // true
+ * isRelatedPath("user.name", "username"); // false
+ */
+function isRelatedPath(a, b) {
+	return a === b || a.startsWith(b + ".") || b.startsWith(a + ".");
 }
 
 /**
  * Updates DOM elements bound to a specific state key by setting their text content.
- * Also ensures `data-bind` elements remain in sync with state changes.
- * @param {string} key - The state key.
+ * Also ensures `data-bind` elements remain in sync with state changes, including
+ * elements bound to paths inside the key (`user.name` when `user` changes) or containing it.
+ * @param {string} key - The state key or path.
+ * @param {*} value - The new value.
+ * @param {StateSingleton} [state] - The store the key belongs to.
+ */
+function updateDOM(key, value, state = State) {
+	updateBoundElements(key, value, state);
+	scheduleDOMUpdate();
+}
+
+/**
+ * Sets the value of the `data-bind` elements affected by a state key,
+ * among the elements using the given store.
+ * @param {string} key - The state key or path.
  * @param {*} value - The new value.
+ * @param {StateSingleton} [state] - The store the key belongs to.
  */
-window.updateDOM = function(key, value) {
-	const elements = document.querySelectorAll(`[data-bind="${key}"]`);
+function updateBoundElements(key, value, state = State) {
+	const parts = String(key).split(".");
+	const selectors = [`[data-bind="${key}"]`, `[data-bind^="${key}."]`];
+	for (let i = 1; i < parts.length; i++) {
+		selectors.push(`[data-bind="${parts.slice(0, i).join(".")}"]`);
+	}
+
+	const elements = document.querySelectorAll(selectors.join(", "));
 	elements.forEach(element => {
+		if (getElementStore(element) !== state) return;
+		const bindKey = element.getAttribute("data-bind");
+		const boundValue = bindKey === key ? value : state.get(bindKey);
 		if (
 			element.tagName === 'INPUT' ||
 			element.tagName === 'TEXTAREA' ||
 			element.tagName === 'SELECT'
 		) {
 			if (element.type === 'checkbox') {
-				element.checked = Boolean(value);
+				element.checked = Boolean(boundValue);
 			} else if (element.type === 'radio') {
-				element.checked = (element.value === value);
+				element.checked = (element.value === boundValue);
 			} else {
-				element.value = value || '';
+				element.value = boundValue || '';
 			}
 		} else {
-			element.textContent = value;
+			element.textContent = boundValue;
 		}
 	});
+}
+
+let domUpdateScheduled = false;
 
-	requestAnimationFrame(updateVisibility);
-	requestAnimationFrame(updateClasses);
+/**
+ * Re-evaluates `show-if` and `class-if` on the next frame, once per frame.
+ */
+function scheduleDOMUpdate() {
+	if (domUpdateScheduled) return;
+	domUpdateScheduled = true;
+	requestAnimationFrame(() => {
+		domUpdateScheduled = false;
+		updateVisibility();
+		updateClasses();
+	});
 }
+window.updateDOM = updateDOM;
 
 /**
  * Updates elements with `class-if` attributes based on conditions.
@@ -1253,14 +4093,14 @@ function updateClasses() {
 			if (rule.includes("?")) {
 				const [condition, classes] = rule.split("?").map(s => s.trim());
 				const [trueClass, falseClass] = classes.split(":").map(s => s.trim());
-				match = evaluateCondition(condition);
+				match = evaluateCondition(condition, getElementStore(element));
 				element.classList.toggle(trueClass, match);
 				if (falseClass) {
 					element.classList.toggle(falseClass, !match);
 				}
 			} else if (rule.includes(":")) {
 				const [stateKey, className] = rule.split(":").map(s => s.trim());
-				match = State.get(stateKey);
+				match = getElementStore(element).get(stateKey);
 				element.classList.toggle(className, !!match);
 			}
 		});
@@ -1270,24 +4110,24 @@ function updateClasses() {
 /**
  * Binds input elements with `data-bind` attributes to state.
  * Ensures two-way data binding between form elements and state.
- * Works with input, textarea, and select elements.
+ * Works with input, textarea, and select elements. Each input writes to the
+ * store it's in (see getElementStore), so one listener serves every store.
  * @example <input type="text" data-bind="username">
  */
-function bindInputs(data) {
+function bindInputs() {
 	document.addEventListener("change", (event) => {
 		const target = event.target;
-		const key = target.getAttribute("data-bind");
-
-		if (key) {
-			if (target.type === "checkbox") {
-				data[key] = target.checked;
-				updateDOM(key, target.checked);
-			} else {
-				data[key] = target.value;
-				updateDOM(key, target.value);
+		const key = target.getAttribute && target.getAttribute("data-bind");
+		const state = key && getElementStore(target);
+
+		if (state) {
+			// The reactive proxy updates bound elements, show-if and class-if
+			state.vetoedWrites.clear();
+			state.withSource("input", () => setPath(state.data, key, target.type === "checkbox" ? target.checked : target.value));
+			// A write middleware vetoed leaves state as it was: show that instead of the rejected input
+			if (state.vetoedWrites.size) {
+				updateBoundElements(key, state.get(key), state);
 			}
-			updateVisibility();
-			updateClasses();
 		}
 	});
 }
@@ -1319,6 +4159,10 @@ function trackOnShowElements() {
 
 			observer.observe(element);
 			element.__onShowObserver = observer;
+			addCleanup(element, () => {
+				observer.disconnect();
+				delete element.__onShowObserver;
+			});
 		}
 	});
 }
@@ -1330,8 +4174,22 @@ function trackOnShowElements() {
   window.Pragmatic.h = window.h;
   window.Pragmatic.Fragment = window.Fragment;
   window.Pragmatic.State = window.State;
+  window.Pragmatic.createStore = createStore;
   window.Pragmatic.navigate = window.navigate;
+  window.Pragmatic.beforeEach = beforeEach;
+  window.Pragmatic.afterEach = afterEach;
   window.Pragmatic.routes = window.routes;
+  window.Pragmatic.mount = mount;
+  window.Pragmatic.configureRouter = configureRouter;
+  window.Pragmatic.lazy = lazy;
+  window.Pragmatic.RouterView = window.RouterView;
+  window.Pragmatic.NavLink = window.NavLink;
+  window.Pragmatic.For = window.For;
+  window.Pragmatic.onMount = onMount;
+  window.Pragmatic.onCleanup = onCleanup;
+  window.Pragmatic.dispose = dispose;
+  window.Pragmatic.prefetch = prefetch;
+  window.Pragmatic.head = head;
   window.Pragmatic.validate = window.validate;
   window.Pragmatic.resetValidation = window.resetValidation;
   window.Pragmatic.reactive = window.reactive;
@@ -1341,15 +4199,11 @@ function trackOnShowElements() {
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', function() {
       // Trigger initial route
-      if (window.navigate) {
-        window.navigate(window.location.pathname + window.location.hash, true);
-      }
+      startRouter();
     });
   } else {
     // DOM already loaded
-    if (window.navigate) {
-      window.navigate(window.location.pathname + window.location.hash, true);
-    }
+    startRouter();
   }
 
   console.log('Pragmatic.js loaded successfully with JSX support');
@@ -0,0 +1,43 @@
+test("a component's callback props aren't called as bindings", () => {
+	const todos = ["a", "b"];
+	const TodoItem = (props) => h("li", {}, props.title);
+	const item = h(TodoItem, {
+		title: "a",
+		remove: () => todos.splice(0, 1),
+		select: () => todos.push("selected"),
+		"aria-busy": () => State.get("hTodoBusy"),
+		class: () => ({ busy: State.get("hTodoBusy") })
+	});
+	State.set({ hTodoBusy: true });
+
+	assert(todos.join() === "a,b", `callbacks ran: ${todos.join()}`);
+	assert(item.getAttribute("aria-busy") === "true" && item.className === "busy", item.outerHTML);
+});
+
+test("a Link's click handler runs once, and returning false cancels the navigation", () => {
+	let clicks = 0;
+	const route = State.get("route");
+	const link = h(Link, { href: "/h-link", onClick: () => { clicks++; return false; } }, "Link");
+	const event = new MouseEvent("click", { bubbles: true, cancelable: true });
+	link.dispatchEvent(event);
+
+	assert(clicks === 1, `onClick ran ${clicks} times`);
+	assert(event.defaultPrevented, "the browser would follow the link");
+	assert(link.getAttribute("href") === "/h-link" && State.get("route") === route, link.outerHTML);
+});
+
+test("an object passed to an attribute warns once per prop name", () => {
+	const warn = console.warn;
+	const warnings = [];
+	console.warn = (...args) => warnings.push(args.join(" "));
+	try {
+		State.set({ hFilter: { text: "a" } });
+		h("div", { "data-filter": () => State.get("hFilter") });
+		State.set({ hFilter: { text: "b" } });
+		h("div", { "data-filter": { text: "c" } });
+	} finally {
+		console.warn = warn;
+	}
+
+	assert(warnings.length === 1, `warned ${warnings.length} times`);
+});
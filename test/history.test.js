@@ -0,0 +1,64 @@
+test("a batch of changes to tracked keys is undone and redone as one entry", () => {
+	const store = Pragmatic.createStore({ name: "historyBatch", state: { title: "Draft", body: "", zoom: 1 } });
+	store.history.track(["title", "body"]);
+	assert(store.get("canUndo") === false && store.get("canRedo") === false, "starts with something to undo or redo");
+
+	store.batch(() => {
+		store.set({ title: "Report" });
+		store.set({ body: "Text" });
+	});
+	store.set({ zoom: 2 });
+	assert(store.get("canUndo") === true, "canUndo wasn't set");
+
+	assert(store.history.undo() === true, "nothing to undo");
+	assert(store.get("title") === "Draft" && store.get("body") === "" && store.get("zoom") === 2, `undone to ${JSON.stringify(store.getData())}`);
+	assert(store.get("canUndo") === false && store.get("canRedo") === true, "flags weren't updated after undo");
+	assert(store.history.undo() === false, "undid an untracked change");
+
+	store.history.redo();
+	assert(store.get("title") === "Report" && store.get("body") === "Text", `redone to ${JSON.stringify(store.getData())}`);
+	assert(store.get("canRedo") === false, "canRedo is still set");
+	store.dispose();
+});
+
+test("changes within the debounce window join one entry, and a new change drops the redo stack", () => {
+	const store = Pragmatic.createStore({ name: "historyDebounce", state: { text: "" } });
+	store.history.track("text", { debounce: 1000 });
+	store.set({ text: "h" });
+	store.set({ text: "hi" });
+	store.history.undo();
+	assert(store.get("text") === "", `undone to "${store.get("text")}"`);
+
+	store.set({ text: "yo" });
+	assert(store.get("canRedo") === false && store.history.redo() === false, "redo survived a new change");
+	store.dispose();
+});
+
+test("nested changes are undone by restoring the key's earlier value", () => {
+	const store = Pragmatic.createStore({ name: "historyNested", state: { doc: { tags: ["a"] } } });
+	store.history.track("doc");
+	store.data.doc.tags.push("b");
+	store.history.undo();
+	assert(JSON.stringify(store.get("doc")) === '{"tags":["a"]}', `doc is ${JSON.stringify(store.get("doc"))}`);
+	store.dispose();
+});
+
+test("restore replaces state with a snapshot, keeping and notifying subscribers", () => {
+	const store = Pragmatic.createStore({ name: "historySnapshot", state: { count: 1, user: { name: "Ada" } } });
+	store.history.track("*");
+	const snapshot = JSON.parse(JSON.stringify(store.snapshot()));
+	assert(!("canUndo" in snapshot.data) && snapshot.data.user.name === "Ada", `snapshot is ${JSON.stringify(snapshot)}`);
+
+	store.set({ count: 5, extra: true });
+	store.data.user.name = "Grace";
+	const seen = [];
+	store.subscribe("count", (value) => seen.push(value), { immediate: false });
+
+	store.restore(snapshot);
+	assert(store.get("count") === 1 && store.get("extra") === undefined && store.get("user").name === "Ada", `restored ${JSON.stringify(store.getData())}`);
+	assert(seen.join() === "1", `subscriber saw ${seen.join()}`);
+
+	store.history.undo();
+	assert(store.get("count") === 5 && store.get("extra") === true, `undo after restore gave ${JSON.stringify(store.getData())}`);
+	store.dispose();
+});
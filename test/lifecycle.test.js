@@ -0,0 +1,75 @@
+test("onMount runs once the component is in the document, onCleanup once it's removed", async () => {
+	const calls = [];
+	const Widget = () => {
+		Pragmatic.onMount((node) => {
+			calls.push(`mount ${node.tagName}`);
+			return () => calls.push("mount cleanup");
+		});
+		Pragmatic.onCleanup(() => calls.push("cleanup"));
+		return h("section", {}, "widget");
+	};
+	const widget = h(Widget);
+	await tick();
+	assert(!calls.length, `ran before being added: ${calls.join()}`);
+
+	document.body.appendChild(widget);
+	await tick();
+	assert(calls.join() === "mount SECTION", `after adding: ${calls.join()}`);
+
+	widget.remove();
+	await tick();
+	assert(calls.join() === "mount SECTION,cleanup,mount cleanup", `after removing: ${calls.join()}`);
+});
+
+test("a removed node's bindings stop updating", async () => {
+	State.set({ lifecycleCount: 1 });
+	let runs = 0;
+	const el = h("p", {}, () => {
+		runs++;
+		return State.get("lifecycleCount");
+	});
+	document.body.appendChild(el);
+	el.remove();
+	await tick();
+
+	State.set({ lifecycleCount: 2 });
+	assert(runs === 1, `the function child ran ${runs} times`);
+	assert(el.textContent === "1", `shows "${el.textContent}"`);
+});
+
+test("a re-render cleans up the components it replaces", async () => {
+	State.set({ lifecycleTab: "a" });
+	const cleanups = [];
+	const Tab = (props) => {
+		Pragmatic.onCleanup(() => cleanups.push(props.name));
+		return h("div", {}, props.name);
+	};
+	const tabs = h("div", {}, () => h(Tab, { name: State.get("lifecycleTab") }));
+	document.body.appendChild(tabs);
+
+	State.set({ lifecycleTab: "b" });
+	assert(cleanups.join() === "a", `cleaned up: ${cleanups.join()}`);
+	assert(tabs.textContent === "b", `shows "${tabs.textContent}"`);
+
+	tabs.remove();
+	await tick();
+	assert(cleanups.join() === "a,b", `cleaned up after removing: ${cleanups.join()}`);
+});
+
+test("a keep-alive node survives being detached until it's disposed", async () => {
+	State.set({ lifecycleTab: "settings", lifecycleTheme: "dark" });
+	const settings = h("section", { "keep-alive": true }, () => State.get("lifecycleTheme"));
+	const tabs = h("div", {}, () => (State.get("lifecycleTab") === "settings" ? settings : h("p", {}, "overview")));
+	document.body.appendChild(tabs);
+
+	State.set({ lifecycleTab: "overview" });
+	await tick();
+	State.set({ lifecycleTheme: "light", lifecycleTab: "settings" });
+	assert(tabs.textContent === "light", `shows "${tabs.textContent}"`);
+
+	tabs.remove();
+	await tick();
+	Pragmatic.dispose(settings);
+	State.set({ lifecycleTheme: "dark" });
+	assert(settings.textContent === "light", `updated after dispose(): "${settings.textContent}"`);
+});
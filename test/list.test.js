@@ -0,0 +1,17 @@
+test("For keeps the rows of reordered state objects", () => {
+	State.set({ listTodos: [{ title: "a", done: false }, { title: "b", done: false }] });
+	let created = 0;
+	const list = h("ul", {}, For({ each: () => State.get("listTodos") }, (todo) => {
+		created++;
+		return h("li", {}, () => `${todo().title}${todo().done ? "!" : ""}`);
+	}));
+	const [first, second] = list.querySelectorAll("li");
+
+	State.get("listTodos").reverse();
+	assert(created === 2, `${created} rows were created`);
+	assert(list.querySelector("li") === second && list.textContent === "ba", `shows "${list.textContent}"`);
+
+	State.get("listTodos")[1].done = true;
+	assert(list.textContent === "ba!", `an in-place change shows "${list.textContent}"`);
+	assert(list.querySelectorAll("li")[1] === first, "the changed row was replaced");
+});
@@ -0,0 +1,71 @@
+test("a bound field shows the committed value again when middleware vetoes its input", async () => {
+	State.set({ middlewareName: "Ann" });
+	const removeMiddleware = State.use((change) => change.key !== "middlewareName" || change.next.length <= 5);
+	const input = h("input", { "data-bind": "middlewareName" });
+	document.body.appendChild(input);
+	await tick();
+
+	input.value = "Too long";
+	input.dispatchEvent(new Event("change", { bubbles: true }));
+	removeMiddleware();
+	input.remove();
+
+	assert(State.get("middlewareName") === "Ann", `state is "${State.get("middlewareName")}"`);
+	assert(input.value === "Ann", `the field shows "${input.value}"`);
+});
+
+test("middleware sees each change with its source, and can transform or veto it", () => {
+	const store = Pragmatic.createStore({ state: { quantity: 1, apiKey: "secret" } });
+	const log = [];
+	store.use((change) => {
+		if (change.key === "quantity") change.next = Number(change.next) || 0;
+	});
+	store.use({
+		before: (change) => change.key !== "apiKey",
+		after: ({ key, previous, next, source }) => log.push(`${source} ${key} ${previous}>${next}`)
+	});
+
+	store.set({ quantity: "3" });
+	store.data.quantity = "oops";
+	store.set({ apiKey: "stolen" });
+	store.reset({ quantity: 5 });
+
+	assert(store.get("quantity") === 5, `quantity is ${JSON.stringify(store.get("quantity"))}`);
+	assert(log.slice(0, 2).join() === "set quantity 1>3,proxy quantity 3>0", `logged ${log.join()}`);
+	assert(log.some(entry => entry.startsWith("reset quantity")), `reset wasn't logged: ${log.join()}`);
+	assert(!log.some(entry => entry.includes("apiKey stolen")), `the vetoed write was logged: ${log.join()}`);
+	store.dispose();
+});
+
+test("a vetoed change notifies nobody, and removed middleware stops running", () => {
+	const store = Pragmatic.createStore({ state: { locked: 1 } });
+	const seen = [];
+	store.subscribe("locked", (value) => seen.push(value), { immediate: false });
+	const remove = store.use(() => false);
+	store.set({ locked: 2 });
+	assert(store.get("locked") === 1 && !seen.length, `locked is ${store.get("locked")}, subscribers saw ${seen.join()}`);
+
+	remove();
+	store.set({ locked: 3 });
+	assert(store.get("locked") === 3 && seen.join() === "3", `locked is ${store.get("locked")}, subscribers saw ${seen.join()}`);
+	store.dispose();
+});
+
+test("a data-bind field's change reaches middleware as an input", async () => {
+	State.set({ middlewareAge: 1 });
+	const sources = [];
+	const removeMiddleware = State.use((change) => {
+		if (change.key !== "middlewareAge") return;
+		sources.push(change.source);
+		change.next = Number(change.next);
+	});
+	const input = h("input", { "data-bind": "middlewareAge" });
+	document.body.appendChild(input);
+	await tick();
+
+	input.value = "42";
+	input.dispatchEvent(new Event("change", { bubbles: true }));
+	removeMiddleware();
+	input.remove();
+	assert(sources.join() === "input" && State.get("middlewareAge") === 42, `got ${sources.join()} and ${JSON.stringify(State.get("middlewareAge"))}`);
+});
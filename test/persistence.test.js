@@ -0,0 +1,119 @@
+/**
+ * A synchronous storage adapter over a plain object, so tests can look at what was stored.
+ * @param {Object} [items] - Stored items by storage key, as JSON strings.
+ * @returns {{getItem: Function, setItem: Function, removeItem: Function, items: Object}}
+ */
+function createTestStorage(items = {}) {
+	return {
+		items,
+		getItem: (key) => (key in items ? items[key] : null),
+		setItem: (key, value) => { items[key] = value; },
+		removeItem: (key) => { delete items[key]; }
+	};
+}
+
+test("migrations don't run without stored state, which is then stored at the current version", () => {
+	const storage = createTestStorage();
+	let migrated = 0;
+	const store = Pragmatic.createStore({
+		name: "persistFresh",
+		state: { theme: "dark" },
+		persist: {
+			adapter: storage,
+			version: 2,
+			migrations: { 2: (state) => { migrated++; return { ...state, theme: state.darkMode ? "dark" : "light" }; } }
+		}
+	});
+	assert(migrated === 0, "a migration ran on a fresh install");
+	assert(store.get("theme") === "dark", `theme is "${store.get("theme")}"`);
+
+	store.set({ theme: "light" });
+	assert(JSON.parse(storage.items["persistFresh:state"]).__version === 2, "the version wasn't stored");
+	store.dispose();
+});
+
+test("migrations upgrade stored state from its version", () => {
+	const storage = createTestStorage({ "persistOld:state": JSON.stringify({ darkMode: true, __version: 1 }) });
+	const store = Pragmatic.createStore({
+		name: "persistOld",
+		persist: {
+			adapter: storage,
+			version: 2,
+			migrations: { 2: ({ darkMode, ...state }) => ({ ...state, theme: darkMode ? "dark" : "light" }) }
+		}
+	});
+
+	assert(store.get("theme") === "dark" && store.get("darkMode") === undefined, `state is ${JSON.stringify(store.getData())}`);
+	store.dispose();
+});
+
+test("state that can't be migrated is passed to onError, whose result is used", () => {
+	const raw = JSON.stringify({ theme: "dark", __version: 3 });
+	const errors = [];
+	const store = Pragmatic.createStore({
+		name: "persistNewer",
+		persist: {
+			adapter: createTestStorage({ "persistNewer:state": raw }),
+			version: 2,
+			onError: (error, stored) => {
+				errors.push([error.message, stored]);
+				return { theme: "light" };
+			}
+		}
+	});
+
+	assert(errors.length === 1 && errors[0][1] === raw, `onError got ${JSON.stringify(errors)}`);
+	assert(store.get("theme") === "light", `theme is "${store.get("theme")}"`);
+	store.dispose();
+});
+
+test("only included keys that aren't excluded are stored", () => {
+	const storage = createTestStorage();
+	const store = Pragmatic.createStore({
+		name: "persistFilter",
+		persist: { adapter: storage, include: ["cart*"], exclude: ["cartToken"] }
+	});
+	store.set({ cart: [1], cartToken: "secret", search: "shoes" });
+
+	const stored = JSON.parse(storage.items["persistFilter:state"]);
+	assert(JSON.stringify(Object.keys(stored)) === '["cart"]', `stored ${JSON.stringify(stored)}`);
+	store.dispose();
+});
+
+test("keys expire after their ttl and expired keys aren't loaded", () => {
+	const storage = createTestStorage({
+		"persistTTL:state": JSON.stringify({ draft: "old", kept: 1, __expires: { draft: Date.now() - 1 } })
+	});
+	const store = Pragmatic.createStore({ name: "persistTTL", persist: { adapter: storage, ttl: { "draft*": 60000 } } });
+	assert(store.get("draft") === undefined && store.get("kept") === 1, `loaded ${JSON.stringify(store.getData())}`);
+
+	store.set({ draft: "new" });
+	const { __expires } = JSON.parse(storage.items["persistTTL:state"]);
+	assert(__expires.draft > Date.now() && !("kept" in __expires), `expiries are ${JSON.stringify(__expires)}`);
+	store.dispose();
+});
+
+test("an async adapter hydrates the state once loaded, keeping keys written before that", async () => {
+	const storage = createTestStorage({ "persistAsync:state": JSON.stringify({ theme: "dark", name: "stored" }) });
+	const asyncStorage = {
+		getItem: (key) => Promise.resolve(storage.getItem(key)),
+		setItem: (key, value) => Promise.resolve(storage.setItem(key, value)),
+		removeItem: (key) => Promise.resolve(storage.removeItem(key))
+	};
+	const store = Pragmatic.createStore({ name: "persistAsync", persist: { adapter: asyncStorage } });
+	store.set({ name: "typed" });
+	assert(store.get("theme") === undefined, "loaded synchronously");
+
+	await store.ready;
+	assert(store.get("theme") === "dark" && store.get("name") === "typed", `state is ${JSON.stringify(store.getData())}`);
+	assert(JSON.parse(storage.items["persistAsync:state"]).name === "typed", "the newer value wasn't stored");
+	store.dispose();
+});
+
+test("the memory adapter keeps state per store", () => {
+	const store = Pragmatic.createStore({ name: "persistMemory", state: { count: 1 } });
+	store.set({ count: 2 });
+	assert(JSON.parse(store.storage.getItem("persistMemory:state")).count === 2, "the count wasn't stored");
+	assert(localStorage.getItem("persistMemory:state") === null, "the store wrote to localStorage");
+	store.dispose();
+});
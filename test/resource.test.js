@@ -0,0 +1,93 @@
+/**
+ * A fetch stand-in: requests stay pending until `respond()`, and reject like fetch when aborted.
+ * @returns {{fetch: Function, requests: Object[], respond: Function}}
+ */
+function createFakeFetch() {
+	const requests = [];
+	const fakeFetch = (url, { signal } = {}) => new Promise((resolve, reject) => {
+		const request = { url, resolve, reject, aborted: false };
+		requests.push(request);
+		if (signal) {
+			signal.addEventListener("abort", () => {
+				request.aborted = true;
+				reject(new DOMException("The operation was aborted.", "AbortError"));
+			});
+		}
+	});
+	const respond = (index, body, ok = true) => {
+		requests[index].resolve({ ok, status: ok ? 200 : 500, json: () => Promise.resolve(body) });
+	};
+	return { fetch: fakeFetch, requests, respond };
+}
+
+const loadJSON = (fakeFetch, url, signal) => fakeFetch(url, { signal }).then(response => {
+	if (!response.ok) throw new Error(`HTTP ${response.status}`);
+	return response.json();
+});
+
+test("a resource sets its data, loading and updatedAt keys", async () => {
+	const server = createFakeFetch();
+	const users = State.resource("resUsers", ({ signal }) => loadJSON(server.fetch, "/users", signal));
+	await tick();
+	assert(State.get("resUsers_loading") === true, "not loading while the request runs");
+
+	server.respond(0, ["ann"]);
+	await tick();
+	assert(JSON.stringify(State.get("resUsers")) === '["ann"]', "the data wasn't set");
+	assert(State.get("resUsers_loading") === false, "still loading");
+	assert(State.get("resUsers_error") === null, "has an error");
+	assert(typeof State.get("resUsers_updatedAt") === "number", "no updatedAt");
+	users.dispose();
+});
+
+test("a resource refetches when a dependency changes and aborts the stale request", async () => {
+	const server = createFakeFetch();
+	State.set({ resPage: 1 });
+	const posts = State.resource("resPosts", ({ signal, deps }) => loadJSON(server.fetch, `/posts?page=${deps.resPage}`, signal), { deps: ["resPage"] });
+	await tick();
+	State.set({ resPage: 2 });
+	await tick();
+
+	assert(server.requests.length === 2 && server.requests[1].url === "/posts?page=2", "didn't refetch page 2");
+	assert(server.requests[0].aborted, "the page 1 request wasn't aborted");
+	server.respond(1, ["second"]);
+	await tick();
+	assert(JSON.stringify(State.get("resPosts")) === '["second"]', "the data isn't page 2's");
+	posts.dispose();
+});
+
+test("a resource sets its error key when the request fails", async () => {
+	const server = createFakeFetch();
+	const broken = State.resource("resBroken", ({ signal }) => loadJSON(server.fetch, "/broken", signal));
+	await tick();
+	server.respond(0, null, false);
+	await tick();
+	assert(State.get("resBroken_error") === "HTTP 500", `error is ${State.get("resBroken_error")}`);
+	assert(State.get("resBroken_loading") === false, "still loading");
+	broken.dispose();
+});
+
+test("aborting or disposing a resource ends loading", async () => {
+	const server = createFakeFetch();
+	const slow = State.resource("resSlow", ({ signal }) => loadJSON(server.fetch, "/slow", signal));
+	await tick();
+	slow.abort();
+	assert(State.get("resSlow_loading") === false, "still loading after abort()");
+
+	slow.refresh();
+	await tick();
+	assert(State.get("resSlow_loading") === true, "not loading after refresh()");
+	slow.dispose();
+	await tick();
+	assert(server.requests[1].aborted, "dispose() didn't abort the request");
+	assert(State.get("resSlow_loading") === false, "still loading after dispose()");
+});
+
+test("resource status keys aren't persisted, other keys with the same suffixes are", () => {
+	["resUsers_loading", "resUsers_error", "resUsers_updatedAt"].forEach(key => {
+		assert(!State.isPersistedKey(key), `${key} is persisted`);
+	});
+	["form_error", "upload_loading", "profile_updatedAt"].forEach(key => {
+		assert(State.isPersistedKey(key), `${key} isn't persisted`);
+	});
+});
@@ -0,0 +1,331 @@
+/**
+ * Runs a router test in hash mode, so navigations only change the page's hash, with
+ * `routes` added to the route table and a `RouterView` on the page. Puts the route
+ * table, the router options and the address back afterwards.
+ * @param {Object} routes - Routes to add to `window.routes`.
+ * @param {Function} fn - The test, called with the outlet. May be async.
+ */
+async function withRouter(routes, fn) {
+	const previousRoutes = window.routes;
+	const address = location.pathname + location.search;
+	window.routes = { ...previousRoutes, ...routes };
+	history.replaceState(history.state, "", address + "#/");
+	Pragmatic.configureRouter({ mode: "hash" });
+	const outlet = h(RouterView);
+	document.body.appendChild(outlet);
+	try {
+		await fn(outlet);
+	} finally {
+		outlet.remove();
+		window.routes = previousRoutes;
+		history.replaceState(history.state, "", address);
+		Pragmatic.configureRouter({ mode: "history", base: "" });
+		await tick();
+	}
+}
+
+test("components get the route as a string and its parts as location", () => withRouter({
+	"/router-users/:id": (props) => h("p", {}, `${typeof props.route} ${props.route} ${props.location.params.id} ${props.location.query.tab}`)
+}, async (outlet) => {
+	await navigate("/router-users/7?tab=posts");
+	await tick();
+
+	assert(outlet.textContent === "string /router-users/7?tab=posts 7 posts", `rendered "${outlet.textContent}"`);
+}));
+
+test("a reactive internal href is rewritten and navigates through the router", () => withRouter({
+	"/router-docs/:page": (props) => h("p", {}, `docs ${props.location.params.page}`)
+}, async (outlet) => {
+	State.set({ routerDocsPage: "intro" });
+	const link = h("a", { href: () => `/router-docs/${State.get("routerDocsPage")}` }, "Docs");
+	document.body.appendChild(link);
+	assert(link.getAttribute("href") === "#/router-docs/intro", `href is "${link.getAttribute("href")}"`);
+
+	State.set({ routerDocsPage: "api" });
+	const click = new MouseEvent("click", { bubbles: true, cancelable: true });
+	link.dispatchEvent(click);
+	await tick();
+
+	assert(link.getAttribute("href") === "#/router-docs/api", `href is "${link.getAttribute("href")}"`);
+	assert(click.defaultPrevented && State.get("route") === "/router-docs/api", `route is "${State.get("route")}"`);
+	assert(outlet.textContent === "docs api", `rendered "${outlet.textContent}"`);
+	link.remove();
+}));
+
+test("prefetch loads lazy() routes and doesn't call other components", () => {
+	let lazyLoads = 0;
+	let plainCalls = 0;
+	const page = { default: () => h("p", {}, "page") };
+	return withRouter({
+		"/router-lazy": Pragmatic.lazy(() => { lazyLoads++; return Promise.resolve(page); }),
+		"/router-plain": () => { plainCalls++; return Promise.resolve(page); }
+	}, async () => {
+		await Pragmatic.prefetch("/router-lazy");
+		await Pragmatic.prefetch("/router-plain");
+
+		assert(lazyLoads === 1, `the lazy() loader ran ${lazyLoads} times`);
+		assert(plainCalls === 0, `the unmarked component was called ${plainCalls} times`);
+	});
+});
+
+test("a plain #anchor in hash mode stays on the current route", () => withRouter({
+	"/router-about": () => h("p", {}, "about")
+}, async (outlet) => {
+	await navigate("/router-about");
+	location.hash = "router-section";
+	await tick();
+
+	assert(State.get("route") === "/router-about", `route is "${State.get("route")}"`);
+	assert(outlet.textContent === "about", `rendered "${outlet.textContent}"`);
+}));
+
+test("navigate() sets any state object and takes options as the third argument", () => withRouter({
+	"/router-first": () => h("p", {}, "first"),
+	"/router-second": () => h("p", {}, "second")
+}, async (outlet) => {
+	await navigate("/router-first", { scroll: 0, routerPanel: "open" });
+	assert(State.get("scroll") === 0 && State.get("routerPanel") === "open", "the state wasn't set");
+
+	const entries = history.length;
+	await navigate("/router-second", null, { replace: true, scroll: false });
+	await tick();
+	assert(history.length === entries, "a history entry was pushed");
+	assert(outlet.textContent === "second", `rendered "${outlet.textContent}"`);
+}));
+
+test("a lazy route whose error component throws shows the error text", async () => {
+	const unhandled = [];
+	const onUnhandled = (event) => unhandled.push(event.reason);
+	window.addEventListener("unhandledrejection", onUnhandled);
+	const error = console.error;
+	console.error = () => {};
+	try {
+		await withRouter({
+			"/router-broken": {
+				component: Pragmatic.lazy(() => Promise.reject(new Error("Chunk failed"))),
+				error: () => { throw new Error("Error page failed"); }
+			}
+		}, async (outlet) => {
+			await navigate("/router-broken");
+			await tick();
+
+			assert(outlet.textContent === "Chunk failed", `rendered "${outlet.textContent}"`);
+			assert(State.get("routeLoading") === false, "still loading");
+		});
+	} finally {
+		console.error = error;
+		window.removeEventListener("unhandledrejection", onUnhandled);
+	}
+	assert(!unhandled.length, `unhandled rejection: ${unhandled[0]}`);
+});
+
+test("a beforeEach guard can cancel or redirect a navigation, also asynchronously", () => withRouter({
+	"/router-admin": () => h("p", {}, "admin"),
+	"/router-login": () => h("p", {}, "login"),
+	"/router-locked": () => h("p", {}, "locked")
+}, async (outlet) => {
+	const after = [];
+	const removeGuard = Pragmatic.beforeEach((to) => {
+		if (to.path === "/router-locked") return false;
+		if (to.path === "/router-admin") return Promise.resolve("/router-login");
+	});
+	const removeHook = Pragmatic.afterEach((to, from) => after.push(`${from.path}>${to.path}`));
+	try {
+		assert(await navigate("/router-locked") === false, "the cancelled navigation completed");
+		assert(State.get("route") === "/", `route is "${State.get("route")}"`);
+
+		assert(await navigate("/router-admin") === true, "the redirected navigation didn't complete");
+		await tick();
+		assert(State.get("route") === "/router-login", `route is "${State.get("route")}"`);
+		assert(outlet.textContent === "login", `rendered "${outlet.textContent}"`);
+		assert(after.join() === "/>/router-login", `afterEach saw ${after.join()}`);
+	} finally {
+		removeGuard();
+		removeHook();
+	}
+}));
+
+test("onLeave and onEnter run for the routes being left and entered, and can cancel", () => {
+	const calls = [];
+	let leaveAllowed = false;
+	return withRouter({
+		"/router-editor": {
+			component: () => h("p", {}, "editor"),
+			onEnter: (to) => { calls.push(`enter ${to.path}`); },
+			onLeave: () => { calls.push("leave editor"); return leaveAllowed; }
+		},
+		"/router-home": {
+			component: () => h("p", {}, "home"),
+			onEnter: () => { calls.push("enter home"); }
+		}
+	}, async (outlet) => {
+		await navigate("/router-editor");
+		await navigate("/router-home");
+		assert(State.get("route") === "/router-editor", "onLeave returning false didn't cancel");
+
+		leaveAllowed = true;
+		await navigate("/router-home");
+		await tick();
+		assert(calls.join() === "enter /router-editor,leave editor,leave editor,enter home", calls.join());
+		assert(outlet.textContent === "home", `rendered "${outlet.textContent}"`);
+	});
+});
+
+test("nested routes render into the layout's RouterView, which keeps its DOM between children", () => {
+	let layoutRenders = 0;
+	const Layout = () => {
+		layoutRenders++;
+		return h("section", {}, h("h1", {}, "Settings"), h(RouterView, { class: "settings-page" }));
+	};
+	return withRouter({
+		"/router-settings": {
+			component: Layout,
+			children: {
+				"/": () => h("p", {}, "overview"),
+				"/profile/:tab": (props) => h("p", {}, `profile ${props.location.params.tab}`)
+			}
+		},
+		"/router-elsewhere": () => h("p", {}, "elsewhere")
+	}, async (outlet) => {
+		await navigate("/router-settings");
+		const layout = outlet.querySelector("section");
+		assert(outlet.querySelector(".settings-page").textContent === "overview", outlet.innerHTML);
+
+		await navigate("/router-settings/profile/email");
+		assert(outlet.querySelector("section") === layout && layoutRenders === 1, "the layout was rendered again");
+		assert(outlet.querySelector(".settings-page").textContent === "profile email", outlet.innerHTML);
+
+		await navigate("/router-elsewhere");
+		await tick();
+		assert(outlet.textContent === "elsewhere", `rendered "${outlet.textContent}"`);
+		assert(layoutRenders === 1, `the layout rendered ${layoutRenders} times`);
+	});
+});
+
+test("hash mode keeps the route in the hash and base mode prefixes link URLs", () => withRouter({
+	"/router-hashed": () => h("p", {}, "hashed")
+}, async (outlet) => {
+	await navigate("/router-hashed?page=2");
+	await tick();
+	assert(location.hash === "#/router-hashed?page=2", `the hash is "${location.hash}"`);
+	assert(outlet.textContent === "hashed", `rendered "${outlet.textContent}"`);
+
+	Pragmatic.configureRouter({ mode: "history", base: "/tools/app/" });
+	const link = h(Link, { href: "/about" }, "About");
+	assert(link.getAttribute("href") === "/tools/app/about", `href is "${link.getAttribute("href")}"`);
+}));
+
+test("navigating scrolls to the top, to a #anchor below the scroll offset, or not at all", async () => {
+	const scrollTo = window.scrollTo;
+	const scrolls = [];
+	window.scrollTo = (x, y) => scrolls.push(Math.round(y));
+	try {
+		await withRouter({
+			"/router-article": () => h("article", {}, h("h2", { id: "router-comments" }, "Comments")),
+			"/router-other": () => h("p", {}, "other")
+		}, async () => {
+			Pragmatic.configureRouter({ scrollOffset: 40 });
+			await navigate("/router-article");
+			assert(scrolls.join() === "0", `scrolled to ${scrolls.join()}`);
+
+			await navigate("/router-other", null, { scroll: false });
+			assert(scrolls.join() === "0", `scrolled to ${scrolls.join()} with scroll: false`);
+
+			await navigate("/router-article#router-comments");
+			await tick(50);
+			const target = document.getElementById("router-comments");
+			const expected = Math.round(target.getBoundingClientRect().top + window.scrollY - 40);
+			assert(scrolls.join() === `0,${expected}`, `scrolled to ${scrolls.join()}, expected 0,${expected}`);
+		});
+	} finally {
+		window.scrollTo = scrollTo;
+		Pragmatic.configureRouter({ scrollOffset: 0 });
+	}
+});
+
+test("going back restores the scroll position of the page left", async () => {
+	const spacer = h("div", { style: { height: "5000px" } });
+	document.body.appendChild(spacer);
+	const scrollTo = window.scrollTo;
+	const scrolls = [];
+	try {
+		await withRouter({
+			"/router-long": () => h("p", {}, "long"),
+			"/router-short": () => h("p", {}, "short")
+		}, async (outlet) => {
+			await navigate("/router-long");
+			window.scrollTo(0, 300);
+			await navigate("/router-short");
+
+			window.scrollTo = (x, y) => scrolls.push(Math.round(y));
+			history.back();
+			await tick(100);
+			assert(outlet.textContent === "long", `rendered "${outlet.textContent}"`);
+			assert(scrolls.includes(300), `scrolled to ${scrolls.join()}`);
+		});
+	} finally {
+		window.scrollTo = scrollTo;
+		spacer.remove();
+	}
+});
+
+test("NavLink marks the current route and its parents, and prefetches lazy routes on hover", () => {
+	let loads = 0;
+	return withRouter({
+		"/router-team": () => h("p", {}, "team"),
+		"/router-team/:id": () => h("p", {}, "member"),
+		"/router-reports": Pragmatic.lazy(() => {
+			loads++;
+			return Promise.resolve({ default: () => h("p", {}, "reports") });
+		})
+	}, async () => {
+		const team = h(NavLink, { href: "/router-team" }, "Team");
+		const exactTeam = h(NavLink, { href: "/router-team", exact: true }, "Team");
+		const reports = h(NavLink, { href: "/router-reports", prefetch: "hover" }, "Reports");
+
+		await navigate("/router-team/7");
+		assert(team.className === "active" && !team.hasAttribute("aria-current"), team.outerHTML);
+		assert(exactTeam.className === "", exactTeam.outerHTML);
+
+		await navigate("/router-team");
+		assert(team.className === "active exact-active" && team.getAttribute("aria-current") === "page", team.outerHTML);
+		assert(team.getAttribute("href") === "#/router-team", `href is "${team.getAttribute("href")}"`);
+
+		reports.dispatchEvent(new MouseEvent("mouseenter"));
+		await tick();
+		assert(loads === 1, `the lazy route loaded ${loads} times`);
+		[team, exactTeam, reports].forEach(link => Pragmatic.dispose(link));
+	});
+});
+
+test("routes set the title and meta tags, components override them, and leaving restores them", () => {
+	const defaultTitle = document.title;
+	State.set({ routerUser: "Ann" });
+	return withRouter({
+		"/router-profile": {
+			component: () => {
+				Pragmatic.head({ title: () => `Profile of ${State.get("routerUser")}` });
+				return h("p", {}, "profile");
+			},
+			title: "Profile",
+			meta: { description: "A user's profile", "og:title": (to) => `Open Graph ${to.path}` }
+		},
+		"/router-plain": () => h("p", {}, "plain")
+	}, async () => {
+		await navigate("/router-profile");
+		await tick(50);
+		const description = () => document.head.querySelector('meta[name="description"]');
+		assert(document.title === "Profile of Ann", `the title is "${document.title}"`);
+		assert(description() && description().content === "A user's profile", "no description");
+		assert(document.head.querySelector('meta[property="og:title"]').content === "Open Graph /router-profile", "no og:title");
+
+		State.set({ routerUser: "Bob" });
+		await tick(50);
+		assert(document.title === "Profile of Bob", `the title is "${document.title}"`);
+
+		await navigate("/router-plain");
+		await tick(50);
+		assert(document.title === defaultTitle, `the title is "${document.title}"`);
+		assert(!description(), "the description is still there");
+	});
+});
@@ -0,0 +1,55 @@
+/**
+ * A minimal test runner for test/index.html. Test files call `test()`, the page calls
+ * `runTests()` once they're loaded. The page title ends up as "ok" or "failed: N".
+ */
+(function () {
+	const tests = [];
+
+	/**
+	 * Registers a test.
+	 * @param {string} name - The test name.
+	 * @param {Function} fn - The test, may be async. It fails by throwing.
+	 */
+	window.test = (name, fn) => {
+		tests.push({ name, fn });
+	};
+
+	/**
+	 * Throws unless a condition holds.
+	 * @param {*} condition - The condition.
+	 * @param {string} message - What went wrong.
+	 */
+	window.assert = (condition, message) => {
+		if (!condition) throw new Error(message);
+	};
+
+	/**
+	 * Waits for pending timers, microtasks and animation frames.
+	 * @param {number} [ms] - How long to wait.
+	 * @returns {Promise<void>}
+	 */
+	window.tick = (ms = 20) => new Promise(resolve => setTimeout(resolve, ms));
+
+	/**
+	 * Runs the registered tests in order and reports the results.
+	 * @returns {Promise<number>} - The number of failed tests.
+	 */
+	window.runTests = async () => {
+		const results = document.getElementById("results");
+		let failed = 0;
+		for (const { name, fn } of tests) {
+			let line;
+			try {
+				await fn();
+				line = `ok - ${name}`;
+			} catch (e) {
+				failed++;
+				line = `not ok - ${name}: ${e.message}`;
+			}
+			console.info(line);
+			if (results) results.textContent += line + "\n";
+		}
+		document.title = failed ? `failed: ${failed}` : "ok";
+		return failed;
+	};
+})();
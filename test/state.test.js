@@ -0,0 +1,79 @@
+test("an array mutator flushes once", () => {
+	State.set({ stateList: Array.from({ length: 200 }, (_, i) => i) });
+	let runs = 0;
+	const unsubscribe = State.subscribe("stateList", () => runs++, { immediate: false });
+
+	State.get("stateList").shift();
+	unsubscribe();
+
+	assert(runs === 1, `subscribers ran ${runs} times`);
+	assert(State.get("stateList").length === 199 && State.get("stateList")[0] === 1, "the first item wasn't removed");
+});
+
+test("the previous value is only copied for subscribers", () => {
+	let reads = 0;
+	const probe = () => ({ get probe() { reads++; return "old"; } });
+	State.set({ stateLarge: probe() });
+	reads = 0;
+	State.set({ stateLarge: [] });
+	assert(reads === 0, `the previous value was read ${reads} times without subscribers`);
+
+	State.set({ stateLarge: probe() });
+	let previousProbe;
+	const unsubscribe = State.subscribe("stateLarge", (value, previous) => {
+		previousProbe = previous && previous.probe;
+	}, { immediate: false });
+	State.set({ stateLarge: [] });
+	unsubscribe();
+	assert(previousProbe === "old", `subscribers got ${previousProbe} as the previous value`);
+});
+
+test("pattern subscribers are called once per matching changed path", () => {
+	const store = Pragmatic.createStore({ state: { form: { name: "", email: "" }, name_invalid: false } });
+	const all = [];
+	const inForm = [];
+	const invalid = [];
+	store.subscribe("*", (value, previous, key) => all.push(key));
+	store.subscribe("form.*", (value, previous, key) => inForm.push(`${key}=${value}`));
+	store.subscribe("*_invalid", (value, previous, key) => invalid.push(`${key}:${previous}>${value}`));
+
+	store.batch(() => {
+		store.data.form.name = "Ada";
+		store.data.form.email = "ada@example.com";
+		store.set({ name_invalid: true });
+	});
+	assert(inForm.join() === "form.name=Ada,form.email=ada@example.com", `form.* got ${inForm.join()}`);
+	assert(invalid.join() === "name_invalid:false>true", `*_invalid got ${invalid.join()}`);
+	assert(all.includes("name_invalid") && all.includes("form.name"), `* got ${all.join()}`);
+
+	inForm.length = 0;
+	store.set({ form: { name: "Grace" } });
+	assert(!inForm.length, `form.* was called for replacing form: ${inForm.join()}`);
+	store.dispose();
+});
+
+test("a path subscriber is called when its parent is replaced", () => {
+	const store = Pragmatic.createStore({ state: { user: { name: "Ada" } } });
+	const names = [];
+	store.subscribe("user.name", (name, previous) => names.push(`${previous}>${name}`), { immediate: false });
+
+	store.set({ user: { name: "Grace" } });
+	store.data.user.name = "Alan";
+	assert(names.join() === "Ada>Grace,Grace>Alan", `user.name got ${names.join()}`);
+	store.dispose();
+});
+
+test("immediate and once subscriptions", () => {
+	const store = Pragmatic.createStore({ state: { count: 1 } });
+	const immediate = [];
+	const once = [];
+	store.subscribe("count", (value) => immediate.push(value));
+	store.subscribe("count", (value) => once.push(value), { immediate: false, once: true });
+	store.subscribe("c*", (value) => immediate.push(`pattern ${value}`));
+
+	store.set({ count: 2 });
+	store.set({ count: 3 });
+	assert(immediate.join() === "1,2,pattern 2,3,pattern 3", `immediate got ${immediate.join()}`);
+	assert(once.join() === "2", `once got ${once.join()}`);
+	store.dispose();
+});
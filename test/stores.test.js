@@ -0,0 +1,70 @@
+test("stores keep their own keys and subscribers", () => {
+	State.set({ storesCount: 0 });
+	const first = Pragmatic.createStore({ state: { storesCount: 1 } });
+	const second = Pragmatic.createStore({ state: { storesCount: 2 } });
+	const seen = [];
+	first.subscribe("storesCount", (value) => seen.push(value), { immediate: false });
+
+	second.set({ storesCount: 3 });
+	State.set({ storesCount: 4 });
+	assert(first.get("storesCount") === 1 && second.get("storesCount") === 3, "stores share keys");
+	assert(!seen.length, `the first store's subscriber saw ${seen.join()}`);
+	assert(first.name !== second.name, "generated names collide");
+	first.dispose();
+	second.dispose();
+});
+
+test("directives use the store of the nearest element scoping one", async () => {
+	State.set({ storesLabel: "" });
+	const store = Pragmatic.createStore({ state: { storesLabel: "widget", storesOpen: false } });
+	const label = h("span", { "data-bind": "storesLabel" });
+	const panel = h("p", { "show-if": "storesOpen" }, "panel");
+	const input = h("input", { "data-bind": "storesLabel" });
+	const widget = h("div", { store }, label, panel, input);
+	const outside = h("span", { "data-bind": "storesLabel" });
+	document.body.append(widget, outside);
+	State.set({ storesLabel: "global" });
+	await tick();
+	assert(label.textContent === "widget" && outside.textContent === "global", `shows "${label.textContent}" and "${outside.textContent}"`);
+
+	store.set({ storesLabel: "changed", storesOpen: true });
+	assert(label.textContent === "changed" && outside.textContent === "global", `shows "${label.textContent}" and "${outside.textContent}"`);
+	assert(panel.style.display !== "none", "show-if used the global State");
+
+	input.value = "typed";
+	input.dispatchEvent(new Event("change", { bubbles: true }));
+	assert(store.get("storesLabel") === "typed" && State.get("storesLabel") === "global", "the input wrote to the wrong store");
+	widget.remove();
+	outside.remove();
+	store.dispose();
+});
+
+test("a store attribute refers to a named store", () => {
+	const store = Pragmatic.createStore({ name: "storesCart", state: { items: ["pen"] } });
+	const aside = document.createElement("aside");
+	aside.setAttribute("store", "storesCart");
+	aside.innerHTML = '<span data-bind="items.length"></span>';
+	document.body.appendChild(aside);
+	store.set({ items: ["pen", "ink"] });
+	assert(aside.textContent === "2", `shows "${aside.textContent}"`);
+	aside.remove();
+	store.dispose();
+});
+
+test("a store created while a component renders is disposed with it", async () => {
+	let store;
+	const Counter = () => {
+		store = Pragmatic.createStore({ state: { count: 0 } });
+		return h("div", { store }, h("span", { "data-bind": "count" }));
+	};
+	const counter = h(Counter);
+	document.body.appendChild(counter);
+	await tick();
+	const seen = [];
+	store.subscribe("count", (value) => seen.push(value), { immediate: false });
+
+	counter.remove();
+	await tick();
+	store.set({ count: 1 });
+	assert(!seen.length, "the store's subscribers outlived its component");
+});
@@ -0,0 +1,45 @@
+test("what subscribers write in reaction to a synced change is sent to other tabs", async () => {
+	const sync = { channel: "syncReaction" };
+	const first = Pragmatic.createStore({ name: "syncFirst", persist: { adapter: "memory", sync } });
+	const second = Pragmatic.createStore({ name: "syncSecond", persist: { adapter: "memory", sync } });
+	second.subscribe("count", (count) => second.set({ doubled: count * 2 }), { immediate: false });
+
+	first.set({ count: 2 });
+	// Messages take a round trip between the channels
+	for (let i = 0; i < 50 && first.get("doubled") === undefined; i++) {
+		await tick();
+	}
+
+	assert(second.get("count") === 2, `the other tab has count ${second.get("count")}`);
+	assert(first.get("doubled") === 4, `the reaction wasn't sent back: doubled is ${first.get("doubled")}`);
+	first.dispose();
+	second.dispose();
+});
+
+test("synced changes and deletions reach other tabs, tab-local and unpersisted keys don't", async () => {
+	const sync = { channel: "syncKeys", local: ["draft"] };
+	const first = Pragmatic.createStore({ name: "syncKeysFirst", persist: { adapter: "memory", sync, exclude: ["secret"] } });
+	const second = Pragmatic.createStore({ name: "syncKeysSecond", persist: { adapter: "memory", sync, exclude: ["secret"] } });
+	const received = [];
+	second.subscribe("*", (value, previous, key) => received.push(key));
+
+	first.set({ count: 1, draft: "mine", secret: "token", form_valid: true });
+	for (let i = 0; i < 50 && second.get("count") === undefined; i++) {
+		await tick();
+	}
+	assert(second.get("count") === 1, `count is ${second.get("count")}`);
+	assert(received.join() === "count", `received ${received.join()}`);
+
+	first.set({ gone: true });
+	for (let i = 0; i < 50 && second.get("gone") === undefined; i++) {
+		await tick();
+	}
+	assert(second.get("gone") === true, "gone wasn't synced");
+	delete first.data.gone;
+	for (let i = 0; i < 50 && second.get("gone") !== undefined; i++) {
+		await tick();
+	}
+	assert(second.get("gone") === undefined, "the deletion wasn't synced");
+	first.dispose();
+	second.dispose();
+});
@@ -0,0 +1,33 @@
+test("typing into an input inside a function child keeps the same node", async () => {
+	State.set({ trackingForm: true, trackingName: "" });
+	const form = h("div", {}, () => State.get("trackingForm")
+		? h("div", {}, h("input", { "data-bind": "trackingName" }), () => `Hello ${State.get("trackingName")}`)
+		: null);
+	document.body.appendChild(form);
+
+	const input = form.querySelector("input");
+	input.focus();
+	input.value = "Ann";
+	input.dispatchEvent(new Event("change", { bubbles: true }));
+	await tick();
+
+	assert(form.querySelector("input") === input, "the input was replaced");
+	assert(document.activeElement === input, "the input lost focus");
+	assert(form.textContent === "Hello Ann", `inner child shows "${form.textContent}"`);
+	form.remove();
+});
+
+test("a function child re-runs only for the keys it reads itself", async () => {
+	State.set({ trackingOuter: 1, trackingInner: 1 });
+	let outerRuns = 0;
+	const el = h("div", {}, () => {
+		outerRuns++;
+		return h("span", {}, State.get("trackingOuter"), () => State.get("trackingInner"));
+	});
+
+	State.set({ trackingInner: 2 });
+	assert(outerRuns === 1, `outer child ran ${outerRuns} times`);
+	assert(el.textContent === "12", `shows "${el.textContent}"`);
+	State.set({ trackingOuter: 3 });
+	assert(outerRuns === 2, `outer child ran ${outerRuns} times`);
+});